@@ -1,4 +1,5 @@
-import dotenv from 'dotenv';
+// Load .env before any module reads its settings from process.env
+import 'dotenv/config';
 import 'express-async-errors';
 import EventEmitter from 'events';
 import express from 'express';
@@ -14,11 +15,24 @@ import authRouter from './routes/auth.js';
 import rideRouter from './routes/ride.js';
 import ratingRouter from './routes/rating.js';
 import adminRouter from './routes/admin.js';
+import walletRouter from './routes/wallet.js';
+import ecoRouter from './routes/eco.js';
+import vehicleRouter from './routes/vehicle.js';
+import chatRouter from './routes/chat.js';
 
 // Import socket handler
-import handleSocketConnection from './controllers/sockets.js';
-
-dotenv.config();
+import handleSocketConnection, {
+  getOnDutyRiderLocations,
+  closeRideRoom,
+  notifyUser,
+  setPresenceStore,
+} from './controllers/sockets.js';
+import { dispatchRide, startDispatchEngine } from './utils/dispatch.js';
+import { startSurgeEngine } from './utils/surge.js';
+import { startRideScheduler } from './utils/rideScheduler.js';
+import { configureSocketAdapter } from './utils/socketAdapter.js';
+import { createPresenceStore } from './utils/presenceStore.js';
+import { assertQuoteSecret } from './utils/fareQuote.js';
 
 EventEmitter.defaultMaxListeners = 20;
 
@@ -53,6 +67,10 @@ handleSocketConnection(io);
 app.use("/auth", authRouter);
 app.use("/ride", authMiddleware, rideRouter);
 app.use("/rating", authMiddleware, ratingRouter);
+app.use("/wallet", authMiddleware, walletRouter);
+app.use("/eco", authMiddleware, ecoRouter);
+app.use("/vehicles", authMiddleware, vehicleRouter);
+app.use("/chat", authMiddleware, chatRouter);
 app.use("/admin", adminRouter);
 
 // Middleware
@@ -61,7 +79,13 @@ app.use(errorHandlerMiddleware);
 
 const start = async () => {
   try {
+    assertQuoteSecret();
     await connectDB(process.env.MONGO_URI);
+    const sharedAdapter = await configureSocketAdapter(io);
+    setPresenceStore(await createPresenceStore(io, { shared: sharedAdapter }));
+    startSurgeEngine(getOnDutyRiderLocations);
+    startDispatchEngine({ notify: notifyUser, closeRideRoom });
+    startRideScheduler({ dispatch: dispatchRide, notify: notifyUser, closeRideRoom });
     const PORT = process.env.PORT || 3000;
     server.listen(PORT, "0.0.0.0", () =>
       console.log(`HTTP server is running on port http://localhost:${PORT}`)
@@ -1,6 +1,13 @@
 import User from '../models/User.js';
+import Ride from '../models/Ride.js';
+import Vehicle from '../models/Vehicle.js';
 import { StatusCodes } from 'http-status-codes';
 import { BadRequestError, NotFoundError } from '../errors/index.js';
+import { PLATFORM_ACCOUNT, getWallet, transfer, walletAccount } from '../utils/ledger.js';
+import { refundRidePayment } from '../utils/ridePayment.js';
+import { invalidateRiderProfile } from '../utils/riderProfiles.js';
+import { activateVehicle } from '../utils/vehicles.js';
+import { getRideMessages } from '../utils/rideChat.js';
 
 // Get all users
 export const getAllUsers = async (req, res) => {
@@ -198,6 +205,7 @@ export const updateUser = async (req, res) => {
     }
     
     await user.save();
+    invalidateRiderProfile(user._id);
     
     const updatedUser = await User.findById(id).select('-password');
     
@@ -255,3 +263,217 @@ export const deleteUser = async (req, res) => {
     });
   }
 };
+
+// Credit or debit a user's wallet by hand, e.g. goodwill credits or corrections
+export const adjustWallet = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { amount, reason } = req.body;
+
+    if (typeof amount !== 'number' || amount === 0) {
+      throw new BadRequestError('Amount must be a non-zero number');
+    }
+
+    if (!reason) {
+      throw new BadRequestError('A reason is required for wallet adjustments');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundError(`No user found with id ${userId}`);
+    }
+
+    const transaction = await transfer({
+      type: 'ADJUSTMENT',
+      from: amount > 0 ? PLATFORM_ACCOUNT : walletAccount(userId),
+      to: amount > 0 ? walletAccount(userId) : PLATFORM_ACCOUNT,
+      amount: Math.abs(amount),
+      description: reason,
+      createdBy: req.user?.id
+    });
+
+    res.status(StatusCodes.OK).json({
+      message: 'Wallet adjusted successfully',
+      wallet: await getWallet(userId),
+      transaction
+    });
+  } catch (error) {
+    console.error(`Error adjusting wallet for user ${req.params.userId}:`, error);
+
+    if (error instanceof NotFoundError) {
+      res.status(StatusCodes.NOT_FOUND).json({ message: error.message });
+      return;
+    }
+
+    if (error instanceof BadRequestError) {
+      res.status(StatusCodes.BAD_REQUEST).json({ message: error.message });
+      return;
+    }
+
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      message: 'Error adjusting wallet',
+      error: error.message
+    });
+  }
+};
+
+// Refund a paid ride to the customer's wallet
+export const refundRide = async (req, res) => {
+  try {
+    const { rideId } = req.params;
+    const { amount, reason } = req.body;
+
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+      throw new NotFoundError(`No ride found with id ${rideId}`);
+    }
+
+    const transaction = await refundRidePayment(ride, {
+      amount: amount ?? ride.fare,
+      reason,
+      adminId: req.user?.id
+    });
+    await ride.save();
+
+    res.status(StatusCodes.OK).json({
+      message: 'Ride refunded successfully',
+      ride,
+      transaction
+    });
+  } catch (error) {
+    console.error(`Error refunding ride ${req.params.rideId}:`, error);
+
+    if (error instanceof NotFoundError) {
+      res.status(StatusCodes.NOT_FOUND).json({ message: error.message });
+      return;
+    }
+
+    if (error instanceof BadRequestError) {
+      res.status(StatusCodes.BAD_REQUEST).json({ message: error.message });
+      return;
+    }
+
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      message: 'Error refunding ride',
+      error: error.message
+    });
+  }
+};
+
+// Read the chat between a ride's customer and rider, for disputes
+export const getRideChat = async (req, res) => {
+  try {
+    const { rideId } = req.params;
+    const { before, limit } = req.query;
+
+    const ride = await Ride.findById(rideId)
+      .select('customer rider status')
+      .populate('customer rider', 'firstName lastName phone role');
+    if (!ride) {
+      throw new NotFoundError(`No ride found with id ${rideId}`);
+    }
+
+    const messages = await getRideMessages(rideId, { before, limit });
+
+    res.status(StatusCodes.OK).json({
+      message: 'Ride chat retrieved successfully',
+      ride,
+      messages
+    });
+  } catch (error) {
+    console.error(`Error fetching chat for ride ${req.params.rideId}:`, error);
+
+    if (error instanceof NotFoundError) {
+      res.status(StatusCodes.NOT_FOUND).json({ message: error.message });
+      return;
+    }
+
+    if (error instanceof BadRequestError) {
+      res.status(StatusCodes.BAD_REQUEST).json({ message: error.message });
+      return;
+    }
+
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      message: 'Error fetching ride chat',
+      error: error.message
+    });
+  }
+};
+
+// Get vehicles, optionally only those with a given review status
+export const getVehicles = async (req, res) => {
+  try {
+    const { status, rider } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (rider) query.rider = rider;
+
+    const vehicles = await Vehicle.find(query)
+      .populate('rider', 'firstName lastName email phone licenseId')
+      .sort({ createdAt: -1 });
+
+    res.status(StatusCodes.OK).json({
+      count: vehicles.length,
+      vehicles
+    });
+  } catch (error) {
+    console.error('Error fetching vehicles:', error);
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      message: 'Error fetching vehicles',
+      error: error.message
+    });
+  }
+};
+
+const reviewVehicle = async (req, res, approved) => {
+  const action = approved ? 'approving' : 'disapproving';
+
+  try {
+    const { id } = req.params;
+    const vehicle = await Vehicle.findById(id);
+
+    if (!vehicle) {
+      throw new NotFoundError(`No vehicle found with id ${id}`);
+    }
+
+    vehicle.status = approved ? 'approved' : 'disapproved';
+    vehicle.disapprovalReason = approved ? null : req.body.reason || 'No reason provided';
+    vehicle.reviewedBy = req.user?.id;
+    vehicle.reviewedAt = new Date();
+    await vehicle.save();
+
+    // A rider's first approved vehicle becomes their active one; a
+    // disapproved vehicle can no longer be driven
+    if (approved && !(await Vehicle.exists({ rider: vehicle.rider, active: true }))) {
+      await activateVehicle(vehicle);
+    } else if (!approved && vehicle.active) {
+      vehicle.active = false;
+      await vehicle.save();
+    }
+    invalidateRiderProfile(vehicle.rider);
+
+    res.status(StatusCodes.OK).json({
+      message: `Vehicle ${approved ? 'approved' : 'disapproved'} successfully`,
+      vehicle
+    });
+  } catch (error) {
+    console.error(`Error ${action} vehicle ${req.params.id}:`, error);
+
+    if (error instanceof NotFoundError) {
+      res.status(StatusCodes.NOT_FOUND).json({ message: error.message });
+      return;
+    }
+
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      message: `Error ${action} vehicle`,
+      error: error.message
+    });
+  }
+};
+
+// Approve a vehicle so its rider can drive it
+export const approveVehicle = (req, res) => reviewVehicle(req, res, true);
+
+// Disapprove a vehicle
+export const disapproveVehicle = (req, res) => reviewVehicle(req, res, false);
@@ -2,6 +2,8 @@ import User from "../models/User.js";
 import { StatusCodes } from "http-status-codes";
 import { BadRequestError, UnauthenticatedError } from "../errors/index.js";
 import jwt from "jsonwebtoken";
+import { getCarbonSummary } from "../utils/emissions.js";
+import { invalidateRiderProfile } from "../utils/riderProfiles.js";
 
 // Simple test endpoint
 export const testAuth = async (req, res) => {
@@ -270,8 +272,13 @@ export const getUserProfile = async (req, res) => {
       throw new UnauthenticatedError("User not found");
     }
 
+    // Customers see how much CO2 their rides have saved
+    const carbonSavings =
+      user.role === "customer" ? await getCarbonSummary(user._id) : undefined;
+
     res.status(StatusCodes.OK).json({
-      user
+      user,
+      carbonSavings
     });
   } catch (error) {
     console.error(error);
@@ -324,6 +331,7 @@ export const updateUserProfile = async (req, res) => {
     }
 
     await user.save();
+    invalidateRiderProfile(user._id);
 
     // Return updated user without password
     const updatedUser = await User.findById(req.user.id).select('-password');
@@ -0,0 +1,62 @@
+import { StatusCodes } from "http-status-codes";
+import { BadRequestError } from "../errors/index.js";
+import {
+  QUICK_REPLIES,
+  getRideChat,
+  markRideMessages,
+  sendRideMessage,
+} from "../utils/rideChat.js";
+
+export const getQuickReplies = async (req, res) => {
+  const quickReplies = QUICK_REPLIES[req.user.role];
+
+  if (!quickReplies) {
+    throw new BadRequestError("Only customers and riders can chat");
+  }
+
+  res.status(StatusCodes.OK).json({
+    message: "Quick replies retrieved successfully",
+    quickReplies,
+  });
+};
+
+export const getMessages = async (req, res) => {
+  const { rideId } = req.params;
+  const { before, limit } = req.query;
+
+  const chat = await getRideChat(rideId, req.user.id, { before, limit });
+
+  res.status(StatusCodes.OK).json({
+    message: "Messages retrieved successfully",
+    ...chat,
+  });
+};
+
+export const sendMessage = async (req, res) => {
+  const { rideId } = req.params;
+  const { text, template } = req.body;
+
+  const chatMessage = await sendRideMessage(rideId, req.user.id, { text, template });
+
+  req.socket.to(`ride_${rideId}`).emit("chatMessage", chatMessage);
+
+  res.status(StatusCodes.CREATED).json({
+    message: "Message sent successfully",
+    chatMessage,
+  });
+};
+
+export const markMessagesRead = async (req, res) => {
+  const { rideId } = req.params;
+
+  const receipt = await markRideMessages(rideId, req.user.id, "read");
+
+  if (receipt) {
+    req.socket.to(`ride_${rideId}`).emit("chatReceipt", receipt);
+  }
+
+  res.status(StatusCodes.OK).json({
+    message: "Messages marked as read",
+    messageIds: receipt?.messageIds || [],
+  });
+};
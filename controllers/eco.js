@@ -0,0 +1,24 @@
+import { StatusCodes } from "http-status-codes";
+import { getCarbonLeaderboard, getCarbonSummary } from "../utils/emissions.js";
+
+export const getMyCarbonSavings = async (req, res) => {
+  const carbonSavings = await getCarbonSummary(req.user.id);
+
+  res.status(StatusCodes.OK).json({
+    message: "Carbon savings retrieved successfully",
+    carbonSavings,
+  });
+};
+
+export const getLeaderboard = async (req, res) => {
+  const { scope = "users", period = "all", limit } = req.query;
+
+  const leaderboard = await getCarbonLeaderboard({ scope, period, limit });
+
+  res.status(StatusCodes.OK).json({
+    message: "Leaderboard retrieved successfully",
+    scope,
+    period,
+    leaderboard,
+  });
+};
@@ -0,0 +1,171 @@
+import FareConfig from '../models/FareConfig.js';
+import { StatusCodes } from 'http-status-codes';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import { getActiveRateCard } from '../utils/fareConfig.js';
+
+const VEHICLE_TYPES = ['bike', 'auto', 'cabEconomy', 'cabPremium'];
+
+const validateRates = (rates) => {
+  if (!rates) {
+    throw new BadRequestError('Rates are required for every vehicle type');
+  }
+
+  for (const vehicle of VEHICLE_TYPES) {
+    const rate = rates[vehicle];
+    if (!rate) {
+      throw new BadRequestError(`Rates for ${vehicle} are required`);
+    }
+    for (const field of ['baseFare', 'perKmRate', 'minimumFare']) {
+      if (typeof rate[field] !== 'number' || rate[field] < 0) {
+        throw new BadRequestError(`${vehicle}.${field} must be a non-negative number`);
+      }
+    }
+  }
+};
+
+const handleError = (res, error, message) => {
+  if (error instanceof NotFoundError) {
+    res.status(StatusCodes.NOT_FOUND).json({ message: error.message });
+    return;
+  }
+
+  if (error instanceof BadRequestError || error.name === 'ValidationError') {
+    res.status(StatusCodes.BAD_REQUEST).json({ message: error.message });
+    return;
+  }
+
+  res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+    message,
+    error: error.message
+  });
+};
+
+// Get all rate cards, newest version first
+export const getFareConfigs = async (req, res) => {
+  try {
+    const fareConfigs = await FareConfig.find()
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ version: -1 });
+
+    res.status(StatusCodes.OK).json({
+      count: fareConfigs.length,
+      fareConfigs
+    });
+  } catch (error) {
+    console.error('Error fetching fare configs:', error);
+    handleError(res, error, 'Error fetching fare configs');
+  }
+};
+
+// Get the rate card currently used for pricing
+export const getActiveFareConfig = async (req, res) => {
+  try {
+    const fareConfig = await getActiveRateCard();
+    res.status(StatusCodes.OK).json({ fareConfig });
+  } catch (error) {
+    console.error('Error fetching active fare config:', error);
+    handleError(res, error, 'Error fetching active fare config');
+  }
+};
+
+// Publish a new rate card version
+export const createFareConfig = async (req, res) => {
+  try {
+    const { rates, effectiveFrom, notes } = req.body;
+
+    validateRates(rates);
+
+    const effectiveDate = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    if (Number.isNaN(effectiveDate.getTime())) {
+      throw new BadRequestError('effectiveFrom must be a valid date');
+    }
+
+    const latest = await FareConfig.findOne().sort({ version: -1 });
+
+    const fareConfig = await FareConfig.create({
+      version: latest ? latest.version + 1 : 1,
+      effectiveFrom: effectiveDate,
+      rates,
+      notes,
+      createdBy: req.user?.id
+    });
+
+    res.status(StatusCodes.CREATED).json({
+      message: 'Fare config created successfully',
+      fareConfig
+    });
+  } catch (error) {
+    console.error('Error creating fare config:', error);
+    handleError(res, error, 'Error creating fare config');
+  }
+};
+
+// Update a rate card that has not taken effect yet. Rate cards already in
+// force are immutable because rides reference them by version.
+export const updateFareConfig = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rates, effectiveFrom, notes } = req.body;
+
+    const fareConfig = await FareConfig.findById(id);
+
+    if (!fareConfig) {
+      throw new NotFoundError(`No fare config found with id ${id}`);
+    }
+
+    if (fareConfig.effectiveFrom <= new Date()) {
+      throw new BadRequestError('Fare configs that are already in effect cannot be changed');
+    }
+
+    if (rates !== undefined) {
+      validateRates(rates);
+      fareConfig.rates = rates;
+    }
+
+    if (effectiveFrom !== undefined) {
+      const effectiveDate = new Date(effectiveFrom);
+      if (Number.isNaN(effectiveDate.getTime())) {
+        throw new BadRequestError('effectiveFrom must be a valid date');
+      }
+      fareConfig.effectiveFrom = effectiveDate;
+    }
+
+    if (notes !== undefined) fareConfig.notes = notes;
+
+    await fareConfig.save();
+
+    res.status(StatusCodes.OK).json({
+      message: 'Fare config updated successfully',
+      fareConfig
+    });
+  } catch (error) {
+    console.error(`Error updating fare config ${req.params.id}:`, error);
+    handleError(res, error, 'Error updating fare config');
+  }
+};
+
+// Delete a rate card that has not taken effect yet
+export const deleteFareConfig = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const fareConfig = await FareConfig.findById(id);
+
+    if (!fareConfig) {
+      throw new NotFoundError(`No fare config found with id ${id}`);
+    }
+
+    if (fareConfig.effectiveFrom <= new Date()) {
+      throw new BadRequestError('Fare configs that are already in effect cannot be deleted');
+    }
+
+    await FareConfig.findByIdAndDelete(id);
+
+    res.status(StatusCodes.OK).json({
+      message: 'Fare config deleted successfully',
+      fareConfigId: id
+    });
+  } catch (error) {
+    console.error(`Error deleting fare config ${req.params.id}:`, error);
+    handleError(res, error, 'Error deleting fare config');
+  }
+};
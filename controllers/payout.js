@@ -0,0 +1,230 @@
+import PayoutBatch from '../models/PayoutBatch.js';
+import Ride from '../models/Ride.js';
+import { StatusCodes } from 'http-status-codes';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import {
+  PLATFORM_COMMISSION_PERCENT,
+  parseDateRange,
+  summarizeUnbatchedRides
+} from '../utils/earnings.js';
+import {
+  GATEWAY_ACCOUNT,
+  PLATFORM_ACCOUNT,
+  getWallet,
+  postTransaction,
+  walletAccount
+} from '../utils/ledger.js';
+import { getPaymentProvider } from '../utils/paymentProvider.js';
+
+const handleError = (res, error, message) => {
+  if (error instanceof NotFoundError) {
+    res.status(StatusCodes.NOT_FOUND).json({ message: error.message });
+    return;
+  }
+
+  if (error instanceof BadRequestError) {
+    res.status(StatusCodes.BAD_REQUEST).json({ message: error.message });
+    return;
+  }
+
+  res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+    message,
+    error: error.message
+  });
+};
+
+// Get payout batches, optionally for one rider or status
+export const getPayoutBatches = async (req, res) => {
+  try {
+    const { riderId, status } = req.query;
+    const queryObject = {};
+
+    if (riderId) queryObject.rider = riderId;
+    if (status) queryObject.status = status;
+
+    const batches = await PayoutBatch.find(queryObject)
+      .populate('rider', 'firstName lastName email licenseId')
+      .sort({ createdAt: -1 });
+
+    res.status(StatusCodes.OK).json({
+      count: batches.length,
+      batches
+    });
+  } catch (error) {
+    console.error('Error fetching payout batches:', error);
+    handleError(res, error, 'Error fetching payout batches');
+  }
+};
+
+// Create one batch per rider covering their completed rides up to periodEnd
+// that are not in a batch yet
+export const generatePayoutBatches = async (req, res) => {
+  try {
+    const { from, to, riderId } = req.body;
+
+    const range = parseDateRange({ from, to: to || new Date() });
+    const riderIds = riderId
+      ? [riderId]
+      : await Ride.distinct('rider', {
+          status: 'COMPLETED',
+          payoutBatch: null,
+          completedAt: range
+        });
+
+    const batches = [];
+
+    for (const rider of riderIds) {
+      const summary = await summarizeUnbatchedRides(rider.toString(), range);
+      if (!summary) continue;
+
+      const { rideIds, rides, ...totals } = summary;
+      const batch = await PayoutBatch.create({
+        rider,
+        periodStart: range.$gte || null,
+        periodEnd: range.$lte,
+        rides: rideIds,
+        rideCount: rides,
+        commissionPercent: PLATFORM_COMMISSION_PERCENT,
+        ...totals,
+        createdBy: req.user?.id
+      });
+
+      // Only claim rides no other batch took in the meantime
+      const { modifiedCount } = await Ride.updateMany(
+        { _id: { $in: rideIds }, payoutBatch: null },
+        { payoutBatch: batch._id }
+      );
+
+      if (modifiedCount !== rideIds.length) {
+        // A concurrent run got some of these rides; give ours back and skip
+        await Ride.updateMany({ payoutBatch: batch._id }, { payoutBatch: null });
+        await PayoutBatch.deleteOne({ _id: batch._id });
+        continue;
+      }
+
+      batches.push(batch);
+    }
+
+    res.status(StatusCodes.CREATED).json({
+      message: `${batches.length} payout batch(es) created`,
+      count: batches.length,
+      batches
+    });
+  } catch (error) {
+    console.error('Error generating payout batches:', error);
+    handleError(res, error, 'Error generating payout batches');
+  }
+};
+
+// Pay a batch out through the payment provider. The rider's wallet gives up
+// the amount paid plus the commission owed on cash rides they collected.
+// The batch is claimed first so two requests cannot pay it twice, and the
+// wallet is debited before any money leaves; a declined payout is reversed.
+export const payPayoutBatch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { destination } = req.body;
+
+    let batch = await PayoutBatch.findById(id);
+
+    if (!batch) {
+      throw new NotFoundError(`No payout batch found with id ${id}`);
+    }
+
+    if (batch.status === 'PAID') {
+      throw new BadRequestError('This payout batch has already been paid');
+    }
+
+    if (batch.amountDue <= 0) {
+      throw new BadRequestError(
+        `Nothing to pay out, the rider owes ${Math.abs(batch.amountDue)} from cash rides`
+      );
+    }
+
+    const previousStatus = batch.status;
+    batch = await PayoutBatch.findOneAndUpdate(
+      { _id: id, status: { $in: ['PENDING', 'FAILED'] } },
+      { status: 'PROCESSING', $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!batch) {
+      throw new BadRequestError('This payout batch is already being paid');
+    }
+
+    const { cashCommission } = batch;
+    const attemptKey = `${batch._id}:${batch.attempts}`;
+    const entries = [
+      {
+        account: walletAccount(batch.rider),
+        direction: 'DEBIT',
+        amount: batch.amountDue + cashCommission
+      },
+      { account: GATEWAY_ACCOUNT, direction: 'CREDIT', amount: batch.amountDue }
+    ];
+    if (cashCommission > 0) {
+      entries.push({ account: PLATFORM_ACCOUNT, direction: 'CREDIT', amount: cashCommission });
+    }
+
+    let transaction;
+    try {
+      transaction = await postTransaction({
+        type: 'PAYOUT',
+        entries,
+        description: `Payout batch ${batch._id}`,
+        idempotencyKey: `payout:${attemptKey}`,
+        createdBy: req.user?.id
+      });
+    } catch (error) {
+      // Nothing has been paid, so the batch can be tried again
+      await PayoutBatch.updateOne({ _id: batch._id }, { status: previousStatus });
+      throw error;
+    }
+
+    const wallet = await getWallet(batch.rider);
+    const provider = getPaymentProvider();
+    // If the provider call itself fails we cannot tell whether money left,
+    // so the batch stays PROCESSING for someone to check with the provider
+    const payout = await provider.payout({
+      amount: batch.amountDue,
+      currency: wallet.currency,
+      userId: batch.rider.toString(),
+      destination
+    });
+
+    if (payout.status !== 'succeeded') {
+      await postTransaction({
+        type: 'ADJUSTMENT',
+        entries: entries.map((entry) => ({
+          ...entry,
+          direction: entry.direction === 'DEBIT' ? 'CREDIT' : 'DEBIT'
+        })),
+        description: `Reversal of declined payout batch ${batch._id}`,
+        reference: payout.reference,
+        idempotencyKey: `payout-reversal:${attemptKey}`,
+        createdBy: req.user?.id
+      });
+
+      batch.status = 'FAILED';
+      await batch.save();
+      throw new BadRequestError('Payout was declined by the provider');
+    }
+
+    transaction.reference = payout.reference;
+    await transaction.save();
+
+    batch.status = 'PAID';
+    batch.transaction = transaction._id;
+    batch.paidAt = new Date();
+    await batch.save();
+
+    res.status(StatusCodes.OK).json({
+      message: 'Payout batch paid successfully',
+      batch,
+      transaction
+    });
+  } catch (error) {
+    console.error(`Error paying payout batch ${req.params.id}:`, error);
+    handleError(res, error, 'Error paying payout batch');
+  }
+};
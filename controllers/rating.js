@@ -1,13 +1,14 @@
 import Rating from "../models/Rating.js";
 import User from "../models/User.js";
 import Ride from "../models/Ride.js";
-import { BadRequestError, NotFoundError } from "../errors/index.js";
+import { BadRequestError, CustomAPIError, NotFoundError } from "../errors/index.js";
 import { StatusCodes } from "http-status-codes";
 import mongoose from "mongoose";
+import { addTip } from "../utils/tips.js";
 
-// Create a new rating
+// Create a new rating, optionally with a tip for the rider
 export const createRating = async (req, res) => {
-  const { rideId, rating, comment } = req.body;
+  const { rideId, rating, comment, tip } = req.body;
   const customerId = req.user.id;
 
   if (!rideId || !rating) {
@@ -38,6 +39,9 @@ export const createRating = async (req, res) => {
       throw new BadRequestError("This ride has no rider to rate");
     }
 
+    // Tips can be added with the first rating or when updating it later
+    const rideTip = tip !== undefined && tip !== null ? await addTip(ride, tip) : ride.tip;
+
     // Check if rating already exists for this ride by this customer
     const existingRating = await Rating.findOne({
       ride: rideId,
@@ -52,7 +56,8 @@ export const createRating = async (req, res) => {
 
       res.status(StatusCodes.OK).json({
         message: "Rating updated successfully",
-        rating: existingRating
+        rating: existingRating,
+        tip: rideTip
       });
     } else {
       // Create new rating
@@ -68,15 +73,48 @@ export const createRating = async (req, res) => {
 
       res.status(StatusCodes.CREATED).json({
         message: "Rating created successfully",
-        rating: newRating
+        rating: newRating,
+        tip: rideTip
       });
     }
   } catch (error) {
     console.error("Error creating/updating rating:", error);
+    if (error instanceof CustomAPIError) throw error;
     throw new BadRequestError("Failed to create/update rating");
   }
 };
 
+// Tip the rider of a completed ride without changing the rating
+export const tipRide = async (req, res) => {
+  const { rideId, tip } = req.body;
+  const customerId = req.user.id;
+
+  if (!rideId || tip === undefined) {
+    throw new BadRequestError("Ride ID and tip are required");
+  }
+
+  const ride = await Ride.findById(rideId);
+
+  if (!ride) {
+    throw new NotFoundError("Ride not found");
+  }
+
+  if (ride.status !== "COMPLETED") {
+    throw new BadRequestError("Cannot tip a ride that is not completed");
+  }
+
+  if (ride.customer.toString() !== customerId) {
+    throw new BadRequestError("You can only tip rides you have taken");
+  }
+
+  const rideTip = await addTip(ride, tip);
+
+  res.status(StatusCodes.OK).json({
+    message: "Tip added successfully",
+    tip: rideTip
+  });
+};
+
 // Get ratings for a rider
 export const getRiderRatings = async (req, res) => {
   const { riderId } = req.params;
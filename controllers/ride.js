@@ -1,14 +1,145 @@
 import Ride from "../models/Ride.js";
-import { BadRequestError, NotFoundError } from "../errors/index.js";
+import User, { PUBLIC_USER_FIELDS } from "../models/User.js";
+import {
+  BadRequestError,
+  ConflictError,
+  CustomAPIError,
+  NotFoundError,
+} from "../errors/index.js";
 import { StatusCodes } from "http-status-codes";
 import {
-  calculateDistance,
   calculateFare,
+  calculateRouteDistance,
+  estimateDuration,
   generateOTP,
 } from "../utils/mapUtils.js";
+import { createQuoteToken, verifyQuoteToken } from "../utils/fareQuote.js";
+import { getActiveRateCard, getRateCardByVersion } from "../utils/fareConfig.js";
+import { getSurgeMultiplier } from "../utils/surge.js";
+import { parseScheduledAt } from "../utils/rideScheduler.js";
+import { getRoutePoints, parseStop, parseStops } from "../utils/rideStops.js";
+import {
+  assignPoolRider,
+  broadcastPoolUpdate,
+  claimPoolForRider,
+  isPoolableVehicle,
+  matchIntoPool,
+  releasePoolClaim,
+  syncPoolWithRide,
+} from "../utils/ridePool.js";
+import {
+  PAYMENT_METHODS,
+  assertCanPayWithWallet,
+  chargeCancellationFee,
+} from "../utils/ridePayment.js";
+import { afterRideCompleted, finalizeCompletedRide } from "../utils/rideCompletion.js";
+import {
+  buildReceiptData,
+  loadReceiptRide,
+  renderReceiptHtml,
+  renderReceiptPdf,
+} from "../utils/receipt.js";
+import { getEarningsBreakdown } from "../utils/earnings.js";
+import { traceToGeoJSON, traceToGpx } from "../utils/tripTrace.js";
+import TripTrace from "../models/TripTrace.js";
+import { closeRideRoom, countNearbyRiders } from "./sockets.js";
+import {
+  claimRideOffer,
+  completeDispatch,
+  declineRideOffer,
+  dispatchRide,
+  getDispatchStatus,
+  releaseRideOffer,
+  stopDispatch,
+} from "../utils/dispatch.js";
+import {
+  PUBLIC_VEHICLE_FIELDS,
+  assertVehicleFitsRide,
+  getActiveVehicle,
+} from "../utils/vehicles.js";
+import {
+  ACTIVE_STATUSES,
+  buildTransitionUpdate,
+  isTerminalStatus,
+  transitionRide,
+} from "../utils/rideStatus.js";
+import { cancelRide as applyCancellation } from "../utils/cancellation.js";
+import { assertOtpFormat, hideOtpFrom, verifyRideOtp } from "../utils/rideOtp.js";
+
+const VEHICLE_TYPES = ["bike", "auto", "cabEconomy", "cabPremium"];
+const RIDE_ALREADY_TAKEN = "This ride has already been taken by another rider";
+// Longest a rider's accept may hold their claim if the request dies midway
+const RIDER_ACCEPT_CLAIM_SECONDS = 15;
+const STOP_QUOTE_EXPIRY_SECONDS = Number(process.env.STOP_QUOTE_EXPIRY_SECONDS) || 120;
+
+export const estimateFare = async (req, res) => {
+  const { pickupLat, pickupLon, dropLat, dropLon, stops: stopsParam } = req.query;
+
+  const pickup = { latitude: Number(pickupLat), longitude: Number(pickupLon) };
+  const drop = { latitude: Number(dropLat), longitude: Number(dropLon) };
+
+  if (
+    [pickup.latitude, pickup.longitude, drop.latitude, drop.longitude].some(
+      (value) => Number.isNaN(value)
+    )
+  ) {
+    throw new BadRequestError("Valid pickup and drop coordinates are required");
+  }
+
+  let stops = [];
+  if (stopsParam) {
+    try {
+      stops = JSON.parse(stopsParam);
+    } catch (error) {
+      throw new BadRequestError("Stops must be a JSON list of coordinates");
+    }
+  }
+  stops = parseStops(stops, { requireAddress: false });
+
+  const distance = calculateRouteDistance(getRoutePoints({ pickup, stops, drop }));
+  const rateCard = await getActiveRateCard();
+  const surgeMultiplier = getSurgeMultiplier(pickup);
+  const fares = calculateFare(distance, rateCard.rates, surgeMultiplier);
+
+  const estimates = VEHICLE_TYPES.map((vehicle) => ({
+    vehicle,
+    fare: fares[vehicle],
+    estimatedDuration: estimateDuration(distance, vehicle),
+  }));
+
+  const quoteToken = createQuoteToken({
+    customerId: req.user.id,
+    pickup,
+    drop,
+    stops,
+    distance,
+    fares,
+    rateCard,
+    surgeMultiplier,
+  });
+
+  res.status(StatusCodes.OK).json({
+    message: "Fare estimate calculated successfully",
+    distance,
+    fareVersion: rateCard.version,
+    surgeMultiplier,
+    estimates,
+    nearbyRiders: countNearbyRiders(pickup),
+    quoteToken,
+  });
+};
 
 export const createRide = async (req, res) => {
-  const { vehicle, pickup, drop } = req.body;
+  const {
+    vehicle,
+    pickup,
+    drop,
+    stops: requestedStops,
+    quoteToken,
+    scheduledAt,
+    pooled = false,
+    paymentMethod = "CASH",
+  } = req.body;
 
   if (!vehicle || !pickup || !drop) {
     throw new BadRequestError("Vehicle, pickup, and drop details are required");
@@ -33,38 +164,134 @@ export const createRide = async (req, res) => {
     throw new BadRequestError("Complete pickup and drop details are required");
   }
 
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new BadRequestError("Payment method must be CASH or WALLET");
+  }
+
   const customer = req.user;
+  const stops = parseStops(requestedStops);
+
+  // Honour the price the customer was shown on the estimate screen
+  const quote = quoteToken
+    ? verifyQuoteToken(quoteToken, {
+        customerId: customer.id,
+        pickup: { latitude: pickupLat, longitude: pickupLon },
+        drop: { latitude: dropLat, longitude: dropLon },
+        stops,
+      })
+    : null;
+
+  const scheduledDate = scheduledAt ? parseScheduledAt(scheduledAt) : null;
+
+  if (pooled) {
+    if (!isPoolableVehicle(vehicle)) {
+      throw new BadRequestError(`Shared rides are not available for ${vehicle}`);
+    }
+    if (stops.length > 0 || scheduledDate) {
+      throw new BadRequestError("Shared rides cannot have extra stops or be scheduled");
+    }
+  }
+
+  // Surge must be shown to the customer before they book, which only
+  // happens through the estimate screen. Live surge does not apply to
+  // rides booked for later.
+  let surgeMultiplier = 1;
+  if (quote) {
+    surgeMultiplier = quote.surgeMultiplier || 1;
+  } else if (!scheduledDate) {
+    surgeMultiplier = getSurgeMultiplier({ latitude: pickupLat, longitude: pickupLon });
+  }
+
+  if (!quote && surgeMultiplier > 1) {
+    throw new BadRequestError(
+      "Surge pricing is in effect. Please request a fare estimate and confirm the fare"
+    );
+  }
 
   try {
-    const distance = calculateDistance(pickupLat, pickupLon, dropLat, dropLon);
-    const fare = calculateFare(distance, vehicle);
+    const distance = quote
+      ? quote.distance
+      : calculateRouteDistance(
+          getRoutePoints({
+            pickup: { latitude: pickupLat, longitude: pickupLon },
+            stops,
+            drop: { latitude: dropLat, longitude: dropLon },
+          })
+        );
+    const rateCard = quote
+      ? { _id: quote.fareConfig, version: quote.fareVersion }
+      : await getActiveRateCard();
+    const fare = quote
+      ? quote.fares
+      : calculateFare(distance, rateCard.rates, surgeMultiplier);
+
+    if (paymentMethod === "WALLET") {
+      await assertCanPayWithWallet(customer.id, fare[vehicle]);
+    }
 
     const ride = new Ride({
       vehicle,
       distance,
       fare: fare[vehicle],
+      fareConfig: rateCard._id,
+      fareVersion: rateCard.version,
+      surgeMultiplier,
       pickup: {
         address: pickupAddress,
         latitude: pickupLat,
         longitude: pickupLon,
       },
       drop: { address: dropAddress, latitude: dropLat, longitude: dropLon },
+      stops,
       customer: customer.id,
       otp: generateOTP(),
+      status: scheduledDate ? "SCHEDULED" : "SEARCHING_FOR_RIDER",
+      scheduledAt: scheduledDate,
+      pooled,
+      soloFare: pooled ? fare[vehicle] : null,
+      paymentMethod,
     });
 
     await ride.save();
 
+    let pool = null;
+    if (pooled) {
+      pool = await matchIntoPool(ride);
+      await broadcastPoolUpdate(req.socket, pool);
+    }
+
     res.status(StatusCodes.CREATED).json({
       message: "Ride created successfully",
-      ride,
+      ride: pooled ? await Ride.findById(ride._id).select("+otp") : ride,
+      pool,
     });
   } catch (error) {
     console.error(error);
+    if (error instanceof CustomAPIError) throw error;
     throw new BadRequestError("Failed to create ride");
   }
 };
 
+// Claim the rider for one accept at a time. The claim runs out on its own,
+// so a request that crashed cannot lock the rider out.
+const claimRiderForAccept = async (riderId) => {
+  const now = new Date();
+  const rider = await User.findOneAndUpdate(
+    {
+      _id: riderId,
+      $or: [{ acceptingRideUntil: null }, { acceptingRideUntil: { $lte: now } }],
+    },
+    { acceptingRideUntil: new Date(now.getTime() + RIDER_ACCEPT_CLAIM_SECONDS * 1000) }
+  );
+
+  if (!rider) {
+    throw new ConflictError("You are already accepting another ride");
+  }
+};
+
+const releaseRiderClaim = (riderId) =>
+  User.updateOne({ _id: riderId }, { acceptingRideUntil: null });
+
 export const acceptRide = async (req, res) => {
   const riderId = req.user.id;
   const { rideId } = req.params;
@@ -73,59 +300,233 @@ export const acceptRide = async (req, res) => {
     throw new BadRequestError("Ride ID is required");
   }
 
+  let riderClaimed = false;
+
   try {
-    let ride = await Ride.findById(rideId).populate("customer");
+    let ride = await Ride.findById(rideId).select("status vehicle pool rider");
 
     if (!ride) {
       throw new NotFoundError("Ride not found");
     }
 
     if (ride.status !== "SEARCHING_FOR_RIDER") {
+      if (ride.rider) throw new ConflictError(RIDE_ALREADY_TAKEN);
       throw new BadRequestError("Ride is no longer available for assignment");
     }
 
-    ride.rider = riderId;
-    ride.status = "START";
-    await ride.save();
+    const vehicle = await getActiveVehicle(riderId);
+    assertVehicleFitsRide(vehicle, ride);
+
+    await claimRiderForAccept(riderId);
+    riderClaimed = true;
 
-    ride = await ride.populate("rider");
+    // Riders carry one trip at a time; rides on the same pool count as one.
+    // Holding the rider's claim keeps this check and the update below from
+    // interleaving with another accept by the same rider.
+    const otherActiveRide = await Ride.exists({
+      rider: riderId,
+      status: { $in: ACTIVE_STATUSES },
+      ...(ride.pool ? { pool: { $ne: ride.pool } } : {}),
+    });
+    if (otherActiveRide) {
+      throw new ConflictError("Finish your current ride before accepting another");
+    }
+
+    const offer = await claimRideOffer(rideId, riderId);
+
+    // A pool has one rider; whoever takes the first of its rides gets the rest
+    const poolClaim = ride.pool
+      ? await claimPoolForRider(ride.pool, riderId, vehicle._id)
+      : null;
+    if (ride.pool && !poolClaim) {
+      if (offer) await releaseRideOffer(offer);
+      throw new ConflictError(RIDE_ALREADY_TAKEN);
+    }
+
+    // Only one rider can move the ride out of SEARCHING_FOR_RIDER
+    ride = await Ride.findOneAndUpdate(
+      { _id: rideId, status: "SEARCHING_FOR_RIDER", rider: null },
+      buildTransitionUpdate(
+        "SEARCHING_FOR_RIDER",
+        "START",
+        { actorId: riderId, actorRole: req.user.role },
+        { rider: riderId, riderVehicle: vehicle._id }
+      ),
+      { new: true }
+    )
+      .populate("customer rider", PUBLIC_USER_FIELDS)
+      .populate("riderVehicle", PUBLIC_VEHICLE_FIELDS);
+
+    if (!ride) {
+      if (offer) await releaseRideOffer(offer);
+      if (poolClaim?.claimed) await releasePoolClaim(poolClaim.pool._id, riderId);
+      throw new ConflictError(RIDE_ALREADY_TAKEN);
+    }
+
+    await completeDispatch(rideId, riderId);
 
     req.socket.to(`ride_${rideId}`).emit("rideUpdate", ride);
     req.socket.to(`ride_${rideId}`).emit("rideAccepted");
 
+    if (ride.pool) {
+      const { pool, assignedRides } = await assignPoolRider(ride.pool, riderId, vehicle._id);
+      for (const assignedRide of assignedRides) {
+        await completeDispatch(assignedRide._id, riderId);
+      }
+      const poolRides = await Ride.find({ pool: ride.pool, _id: { $ne: ride._id } })
+        .populate("customer rider", PUBLIC_USER_FIELDS)
+        .populate("riderVehicle", PUBLIC_VEHICLE_FIELDS);
+      poolRides.forEach((poolRide) => {
+        req.socket.to(`ride_${poolRide._id}`).emit("rideUpdate", poolRide);
+        req.socket.to(`ride_${poolRide._id}`).emit("rideAccepted");
+      });
+      await broadcastPoolUpdate(req.socket, pool);
+    }
+
     res.status(StatusCodes.OK).json({
       message: "Ride accepted successfully",
       ride,
     });
   } catch (error) {
     console.error("Error accepting ride:", error);
+    if (error instanceof CustomAPIError) throw error;
     throw new BadRequestError("Failed to accept ride");
+  } finally {
+    if (riderClaimed) await releaseRiderClaim(riderId);
   }
 };
 
+// Start looking for a rider. The search runs on the server until a rider
+// accepts, the ride is cancelled or it expires.
+export const startRideSearch = async (req, res) => {
+  const { rideId } = req.params;
+
+  const ride = await Ride.findById(rideId).select("customer status");
+
+  if (!ride) {
+    throw new NotFoundError("Ride not found");
+  }
+
+  if (ride.customer.toString() !== req.user.id) {
+    throw new BadRequestError("You can only search for your own rides");
+  }
+
+  if (ride.status !== "SEARCHING_FOR_RIDER") {
+    throw new BadRequestError("This ride is not waiting for a rider");
+  }
+
+  await dispatchRide(rideId);
+
+  res.status(StatusCodes.OK).json({
+    message: "Searching for a rider",
+    search: await getDispatchStatus(rideId),
+  });
+};
+
+export const getRideSearch = async (req, res) => {
+  const { rideId } = req.params;
+  const { id: userId, role } = req.user;
+
+  const ride = await Ride.findById(rideId).select("customer");
+
+  if (!ride) {
+    throw new NotFoundError("Ride not found");
+  }
+
+  if (role !== "admin" && ride.customer.toString() !== userId) {
+    throw new BadRequestError("You can only view searches for your own rides");
+  }
+
+  const search = await getDispatchStatus(rideId);
+
+  if (!search) {
+    throw new NotFoundError("No search has been started for this ride");
+  }
+
+  res.status(StatusCodes.OK).json({
+    message: "Ride search retrieved successfully",
+    search,
+  });
+};
+
+export const declineRide = async (req, res) => {
+  const { rideId } = req.params;
+  const { reason = "" } = req.body;
+
+  if (req.user.role !== "rider") {
+    throw new BadRequestError("Only riders can decline ride offers");
+  }
+
+  const offer = await declineRideOffer(rideId, req.user.id, reason);
+
+  res.status(StatusCodes.OK).json({
+    message: "Ride offer declined",
+    offer,
+  });
+};
+
 export const updateRideStatus = async (req, res) => {
   const { rideId } = req.params;
-  const { status } = req.body;
+  const { status, reason } = req.body;
+  const { id: userId, role } = req.user;
 
   if (!rideId || !status) {
     throw new BadRequestError("Ride ID and status are required");
   }
 
   try {
-    let ride = await Ride.findById(rideId).populate("customer rider");
+    let ride = await Ride.findById(rideId).populate("customer rider", PUBLIC_USER_FIELDS);
 
     if (!ride) {
       throw new NotFoundError("Ride not found");
     }
 
-    if (!["START", "ARRIVED", "COMPLETED"].includes(status)) {
-      throw new BadRequestError("Invalid ride status");
+    const isParticipant =
+      ride.customer?._id.toString() === userId ||
+      ride.rider?._id.toString() === userId;
+
+    if (role !== "admin" && !isParticipant) {
+      throw new BadRequestError("You are not part of this ride");
     }
 
-    ride.status = status;
-    await ride.save();
+    if (status === "IN_PROGRESS") {
+      throw new BadRequestError("Verify the customer's OTP to start the trip");
+    }
+
+    // These need the cancellation record, fees and dispatch cleanup
+    if (["CANCELLED", "NO_SHOW", "EXPIRED"].includes(status)) {
+      throw new BadRequestError(
+        "Use the cancel endpoint to cancel a ride or report a no-show"
+      );
+    }
+
+    // Only applies while the ride is still in the status read above, so two
+    // requests racing to complete it cannot both settle the fare
+    const updated = await Ride.findOneAndUpdate(
+      { _id: ride._id, status: ride.status },
+      buildTransitionUpdate(ride.status, status, { actorId: userId, actorRole: role, reason }),
+      { new: true }
+    ).populate("customer rider", PUBLIC_USER_FIELDS);
+
+    if (!updated) {
+      throw new ConflictError("The ride status has already changed. Refresh and try again");
+    }
+
+    ride = updated;
+    if (status === "COMPLETED") {
+      await finalizeCompletedRide(ride);
+      await ride.save();
+    }
 
     req.socket.to(`ride_${rideId}`).emit("rideUpdate", ride);
+    await broadcastPoolUpdate(req.socket, await syncPoolWithRide(ride));
+
+    if (status === "COMPLETED") {
+      afterRideCompleted(ride._id);
+    }
+    if (isTerminalStatus(status)) {
+      closeRideRoom(rideId);
+    }
 
     res.status(StatusCodes.OK).json({
       message: `Ride status updated to ${status}`,
@@ -133,10 +534,239 @@ export const updateRideStatus = async (req, res) => {
     });
   } catch (error) {
     console.error("Error updating ride status:", error);
+    if (error instanceof CustomAPIError) throw error;
     throw new BadRequestError("Failed to update ride status");
   }
 };
 
+export const verifyOtp = async (req, res) => {
+  const { rideId } = req.params;
+  const { otp } = req.body;
+  const { id: userId, role } = req.user;
+
+  if (!rideId || !otp) {
+    throw new BadRequestError("Ride ID and OTP are required");
+  }
+
+  assertOtpFormat(otp);
+
+  try {
+    let ride = await Ride.findById(rideId).select("+otp");
+
+    if (!ride) {
+      throw new NotFoundError("Ride not found");
+    }
+
+    if (ride.rider?.toString() !== userId) {
+      throw new BadRequestError("Only the assigned rider can verify the OTP");
+    }
+
+    if (ride.status !== "ARRIVED") {
+      throw new BadRequestError("OTP can only be verified after arriving at pickup");
+    }
+
+    const verified = verifyRideOtp(ride, otp);
+
+    if (!verified) {
+      await ride.save();
+      throw new BadRequestError("Incorrect OTP");
+    }
+
+    transitionRide(ride, "IN_PROGRESS", { actorId: userId, actorRole: role });
+    await ride.save();
+    await broadcastPoolUpdate(req.socket, await syncPoolWithRide(ride));
+
+    ride = await Ride.findById(rideId).populate("customer rider", PUBLIC_USER_FIELDS);
+
+    req.socket.to(`ride_${rideId}`).emit("rideUpdate", ride);
+    req.socket.to(`ride_${rideId}`).emit("otpVerified", { rideId });
+
+    res.status(StatusCodes.OK).json({
+      message: "OTP verified, trip started",
+      ride,
+    });
+  } catch (error) {
+    console.error("Error verifying OTP:", error);
+    if (error instanceof CustomAPIError) throw error;
+    throw new BadRequestError("Failed to verify OTP");
+  }
+};
+
+export const cancelRide = async (req, res) => {
+  const { rideId } = req.params;
+  const { reasonCode, note, noShow = false } = req.body;
+  const { id: userId, role } = req.user;
+
+  if (!rideId || !reasonCode) {
+    throw new BadRequestError("Ride ID and cancellation reason are required");
+  }
+
+  try {
+    const ride = await Ride.findById(rideId);
+
+    if (!ride) {
+      throw new NotFoundError("Ride not found");
+    }
+
+    const isParticipant =
+      ride.customer.toString() === userId || ride.rider?.toString() === userId;
+
+    if (role !== "admin" && !isParticipant) {
+      throw new BadRequestError("You are not part of this ride");
+    }
+
+    applyCancellation(ride, {
+      actorId: userId,
+      actorRole: role,
+      reasonCode,
+      note,
+      status: noShow ? "NO_SHOW" : "CANCELLED",
+    });
+    await chargeCancellationFee(ride);
+    await ride.save();
+    await stopDispatch(rideId);
+    await broadcastPoolUpdate(req.socket, await syncPoolWithRide(ride));
+
+    req.socket.to(`ride_${rideId}`).emit("rideUpdate", ride);
+    req.socket.to(`ride_${rideId}`).emit("rideCanceled", {
+      message: `Ride canceled by ${role}`,
+      cancellation: ride.cancellation,
+    });
+    closeRideRoom(rideId);
+
+    res.status(StatusCodes.OK).json({
+      message: noShow ? "Ride marked as a no-show" : "Ride canceled successfully",
+      ride,
+    });
+  } catch (error) {
+    console.error("Error canceling ride:", error);
+    if (error instanceof CustomAPIError) throw error;
+    throw new BadRequestError("Failed to cancel ride");
+  }
+};
+
+// Quote the fare for a stop the customer wants to add during the trip.
+// Nothing changes on the ride until the customer accepts the new fare.
+export const requestStop = async (req, res) => {
+  const { rideId } = req.params;
+  const customerId = req.user.id;
+
+  const stop = parseStop(req.body);
+  const ride = await Ride.findById(rideId);
+
+  if (!ride) {
+    throw new NotFoundError("Ride not found");
+  }
+
+  if (ride.customer.toString() !== customerId) {
+    throw new BadRequestError("Only the customer can add stops to this ride");
+  }
+
+  if (!ACTIVE_STATUSES.includes(ride.status)) {
+    throw new BadRequestError("Stops can only be added to an ongoing ride");
+  }
+
+  // A shared route and its split fares cannot be re-planned for one passenger
+  if (ride.pool) {
+    throw new BadRequestError("Stops cannot be added to a shared ride");
+  }
+
+  const stops = [...ride.stops, stop];
+  parseStops(stops);
+
+  const distance = calculateRouteDistance(
+    getRoutePoints({ pickup: ride.pickup, stops, drop: ride.drop })
+  );
+  const rateCard = await getRateCardByVersion(ride.fareVersion);
+  const fare = calculateFare(distance, rateCard.rates, ride.surgeMultiplier)[ride.vehicle];
+
+  ride.pendingStop = {
+    ...stop,
+    distance,
+    fare,
+    expiresAt: new Date(Date.now() + STOP_QUOTE_EXPIRY_SECONDS * 1000),
+  };
+  await ride.save();
+
+  res.status(StatusCodes.OK).json({
+    message: "Stop quoted, accept the new fare to add it",
+    currentFare: ride.fare,
+    pendingStop: ride.pendingStop,
+  });
+};
+
+export const respondToStopQuote = async (req, res) => {
+  const { rideId } = req.params;
+  const { accept } = req.body;
+  const customerId = req.user.id;
+
+  let ride = await Ride.findById(rideId);
+
+  if (!ride) {
+    throw new NotFoundError("Ride not found");
+  }
+
+  if (ride.customer.toString() !== customerId) {
+    throw new BadRequestError("Only the customer can add stops to this ride");
+  }
+
+  const pendingStop = ride.pendingStop;
+  ride.pendingStop = null;
+
+  if (!pendingStop) {
+    throw new BadRequestError("There is no stop waiting to be confirmed");
+  }
+
+  if (!accept) {
+    await ride.save();
+    return res.status(StatusCodes.OK).json({ message: "Stop declined", ride });
+  }
+
+  if (pendingStop.expiresAt < new Date()) {
+    await ride.save();
+    throw new BadRequestError("Stop quote has expired, please request it again");
+  }
+
+  if (!ACTIVE_STATUSES.includes(ride.status)) {
+    await ride.save();
+    throw new BadRequestError("Stops can only be added to an ongoing ride");
+  }
+
+  const { address, latitude, longitude, distance, fare } = pendingStop;
+  ride.stops.push({ address, latitude, longitude, addedMidRide: true });
+  ride.distance = distance;
+  ride.fare = fare;
+  await ride.save();
+
+  ride = await Ride.findById(rideId).populate("customer rider", PUBLIC_USER_FIELDS);
+
+  req.socket.to(`ride_${rideId}`).emit("rideUpdate", ride);
+  req.socket.to(`ride_${rideId}`).emit("stopAdded", {
+    rideId,
+    stop: ride.stops[ride.stops.length - 1],
+    fare: ride.fare,
+  });
+
+  res.status(StatusCodes.OK).json({
+    message: "Stop added successfully",
+    ride,
+  });
+};
+
+export const getScheduledRides = async (req, res) => {
+  const customerId = req.user.id;
+
+  const rides = await Ride.find({ customer: customerId, status: "SCHEDULED" })
+    .select("+otp")
+    .sort({ scheduledAt: 1 });
+
+  res.status(StatusCodes.OK).json({
+    message: "Scheduled rides retrieved successfully",
+    count: rides.length,
+    rides,
+  });
+};
+
 export const getMyRides = async (req, res) => {
   const userId = req.user.id;
   const { status } = req.query;
@@ -151,6 +781,7 @@ export const getMyRides = async (req, res) => {
     }
 
     const rides = await Ride.find(query)
+      .select("+otp")
       .populate("customer", "name phone")
       .populate("rider", "name phone")
       .sort({ createdAt: -1 });
@@ -158,10 +789,129 @@ export const getMyRides = async (req, res) => {
     res.status(StatusCodes.OK).json({
       message: "Rides retrieved successfully",
       count: rides.length,
-      rides,
+      rides: rides.map((ride) => hideOtpFrom(ride, userId)),
     });
   } catch (error) {
     console.error("Error retrieving rides:", error);
     throw new BadRequestError("Failed to retrieve rides");
   }
 };
+
+export const getEarnings = async (req, res) => {
+  const { id: riderId, role } = req.user;
+  const { period, from, to } = req.query;
+
+  if (role !== "rider") {
+    throw new BadRequestError("Only riders have earnings");
+  }
+
+  const earnings = await getEarningsBreakdown(riderId, { period, from, to });
+
+  res.status(StatusCodes.OK).json({
+    message: "Earnings retrieved successfully",
+    ...earnings,
+  });
+};
+
+export const getReceipt = async (req, res) => {
+  const { rideId } = req.params;
+  const { format = "pdf" } = req.query;
+  const { id: userId, role } = req.user;
+
+  if (!["pdf", "html"].includes(format)) {
+    throw new BadRequestError("Receipt format must be pdf or html");
+  }
+
+  const ride = await loadReceiptRide(rideId);
+
+  if (!ride) {
+    throw new NotFoundError("Ride not found");
+  }
+
+  if (role !== "admin" && ride.customer?._id.toString() !== userId) {
+    throw new BadRequestError("Only the customer can download this receipt");
+  }
+
+  if (ride.status !== "COMPLETED") {
+    throw new BadRequestError("Receipts are only available for completed rides");
+  }
+
+  const receipt = await buildReceiptData(ride);
+
+  if (format === "html") {
+    return res.status(StatusCodes.OK).type("html").send(renderReceiptHtml(receipt));
+  }
+
+  const pdf = await renderReceiptPdf(receipt);
+  res
+    .status(StatusCodes.OK)
+    .type("application/pdf")
+    .set("Content-Disposition", `attachment; filename="${receipt.receiptNumber}.pdf"`)
+    .send(pdf);
+};
+
+export const getRideTrace = async (req, res) => {
+  const { rideId } = req.params;
+  const { format = "geojson" } = req.query;
+  const { id: userId, role } = req.user;
+
+  if (!["geojson", "gpx"].includes(format)) {
+    throw new BadRequestError("Trace format must be geojson or gpx");
+  }
+
+  const ride = await Ride.findById(rideId).select("customer vehicle status pickup drop");
+
+  if (!ride) {
+    throw new NotFoundError("Ride not found");
+  }
+
+  if (role !== "admin" && ride.customer?.toString() !== userId) {
+    throw new BadRequestError("Only the customer can download this trace");
+  }
+
+  const trace = await TripTrace.findOne({ ride: rideId });
+
+  if (!trace || !trace.points.length) {
+    throw new NotFoundError("No GPS trace was recorded for this ride");
+  }
+
+  if (format === "gpx") {
+    return res
+      .status(StatusCodes.OK)
+      .type("application/gpx+xml")
+      .set("Content-Disposition", `attachment; filename="ride-${rideId}.gpx"`)
+      .send(traceToGpx(trace, ride));
+  }
+
+  res
+    .status(StatusCodes.OK)
+    .type("application/geo+json")
+    .set("Content-Disposition", `attachment; filename="ride-${rideId}.geojson"`)
+    .send(JSON.stringify(traceToGeoJSON(trace, ride)));
+};
+
+export const getRideHistory = async (req, res) => {
+  const { rideId } = req.params;
+  const { id: userId, role } = req.user;
+
+  const ride = await Ride.findById(rideId)
+    .select("customer rider status statusHistory")
+    .populate("statusHistory.changedBy", "firstName lastName role");
+
+  if (!ride) {
+    throw new NotFoundError("Ride not found");
+  }
+
+  const isParticipant =
+    ride.customer?.toString() === userId || ride.rider?.toString() === userId;
+
+  if (role !== "admin" && !isParticipant) {
+    throw new BadRequestError("You are not part of this ride");
+  }
+
+  res.status(StatusCodes.OK).json({
+    message: "Ride history retrieved successfully",
+    status: ride.status,
+    history: ride.statusHistory,
+  });
+};
@@ -1,12 +1,54 @@
-import geolib from "geolib";
 import jwt from "jsonwebtoken";
-import User from "../models/User.js";
+import User, { PUBLIC_USER_FIELDS } from "../models/User.js";
 import Ride from "../models/Ride.js";
 import Rating from "../models/Rating.js";
+import { cancelRide } from "../utils/cancellation.js";
+import { hideOtpFrom } from "../utils/rideOtp.js";
+import { chargeCancellationFee } from "../utils/ridePayment.js";
+import { getNextStopIndex } from "../utils/rideStops.js";
+import { broadcastPoolUpdate, syncPoolWithRide } from "../utils/ridePool.js";
+import { forgetRiderLocation, recordRiderLocation } from "../utils/tripTrace.js";
+import { findNearestRiders, findRidersWithinRadius } from "../utils/riderIndex.js";
+import { getRiderProfiles } from "../utils/riderProfiles.js";
+import { dispatchRide, getDispatchStatus, stopDispatch } from "../utils/dispatch.js";
+import { PUBLIC_VEHICLE_FIELDS, getActiveVehicle } from "../utils/vehicles.js";
+import { MemoryPresenceStore } from "../utils/presenceStore.js";
+import { ACTIVE_STATUSES } from "../utils/rideStatus.js";
+import { onEvent } from "../utils/socketProtocol.js";
+import { markRideMessages, sendRideMessage } from "../utils/rideChat.js";
+import { BadRequestError, ForbiddenError, NotFoundError } from "../errors/index.js";
 
-const onDutyRiders = new Map();
+// On-duty riders, zone subscriptions and ride room members. Replaced with a
+// shared store at startup when several instances run side by side.
+let presence = new MemoryPresenceStore();
+const NEARBY_RADIUS = 60000;
+// Customers see at most this many riders on their map
+const NEARBY_LIMIT = Number(process.env.NEARBY_RIDERS_LIMIT) || 20;
+// Rider movements are pushed to customers in batches at most this often
+const NEARBY_PUSH_INTERVAL = Number(process.env.NEARBY_PUSH_INTERVAL_MS) || 2000;
+
+let nearbyPushTimer = null;
+// How long a rider who lost their connection stays on duty, waiting for
+// them to come back
+const RIDER_RECONNECT_GRACE_SECONDS = Number(process.env.RIDER_RECONNECT_GRACE_SECONDS) || 30;
+
+// riderId -> timer that takes a disconnected rider off duty
+const offlineTimers = new Map();
+
+let socketServer = null;
+
+export const setPresenceStore = (store) => {
+  presence = store;
+};
+
+export const getOnDutyRiderLocations = () => presence.getRiders().map((rider) => rider.coords);
+
+export const countNearbyRiders = (location, radius = NEARBY_RADIUS) =>
+  findRidersWithinRadius(location, radius).length;
 
 const handleSocketConnection = (io) => {
+  socketServer = io;
+
   io.use(async (socket, next) => {
     try {
       const token = socket.handshake.headers.access_token;
@@ -27,213 +69,413 @@ const handleSocketConnection = (io) => {
   io.on("connection", (socket) => {
     const user = socket.user;
     console.log(`User Joined: ${user.id} (${user.role})`);
+    socket.join(`user_${user.id}`);
+
+    if (user.role === "rider") resumeDuty(socket);
+    resumeActiveRides(socket).catch((error) =>
+      console.error(`Error resuming rides for ${user.role} ${user.id}:`, error)
+    );
 
     if (user.role === "rider") {
-      socket.on("goOnDuty", (coords) => {
-        onDutyRiders.set(user.id, { 
-          socketId: socket.id, 
+      onEvent(socket, "goOnDuty", async (coords) => {
+        const vehicle = await getActiveVehicle(user.id).catch(() => null);
+        if (!vehicle) {
+          throw new BadRequestError("You need an approved, active vehicle to go on duty");
+        }
+
+        presence.setRider(user.id, {
+          socketId: socket.id,
           coords,
-          riderId: user.id 
+          vehicleType: vehicle.type,
         });
         socket.join("onDuty");
         console.log(`rider ${user.id} is now on duty.`);
         updateNearbyriders();
+        return { coords, vehicleType: vehicle.type };
       });
 
-      socket.on("goOffDuty", () => {
-        onDutyRiders.delete(user.id);
+      onEvent(socket, "goOffDuty", async () => {
+        presence.removeRider(user.id);
+        forgetRiderLocation(user.id);
         socket.leave("onDuty");
         console.log(`rider ${user.id} is now off duty.`);
         updateNearbyriders();
       });
 
-      socket.on("updateLocation", (coords) => {
-        if (onDutyRiders.has(user.id)) {
-          onDutyRiders.get(user.id).coords = coords;
-          console.log(`rider ${user.id} updated location.`);
-          updateNearbyriders();
-          socket.to(`rider_${user.id}`).emit("riderLocationUpdate", {
-            riderId: user.id,
-            coords,
-          });
+      onEvent(socket, "updateLocation", async (coords) => {
+        if (!presence.updateRiderLocation(user.id, coords)) {
+          throw new BadRequestError("Go on duty before sending your location");
         }
+
+        updateNearbyriders();
+        socket.to(`rider_${user.id}`).emit("riderLocationUpdate", {
+          riderId: user.id,
+          coords,
+        });
+        recordRiderLocation(user.id, coords).catch((error) =>
+          console.error(`Error recording trip trace for rider ${user.id}:`, error)
+        );
+      });
+
+      onEvent(socket, "stopReached", async ({ rideId, stopIndex }) => {
+        const ride = await Ride.findById(rideId);
+        if (!ride) throw new NotFoundError("Ride not found");
+
+        if (ride.rider?.toString() !== user.id) {
+          throw new ForbiddenError("You are not the rider on this ride");
+        }
+
+        if (ride.status !== "IN_PROGRESS") {
+          throw new BadRequestError("Stops can only be reached during the trip");
+        }
+
+        const nextStopIndex = getNextStopIndex(ride.stops);
+        if (nextStopIndex === -1 || nextStopIndex !== stopIndex) {
+          throw new BadRequestError("Stops must be reached in order");
+        }
+
+        ride.stops[stopIndex].status = "REACHED";
+        ride.stops[stopIndex].reachedAt = new Date();
+        await ride.save();
+
+        const update = { rideId, stopIndex, stop: ride.stops[stopIndex] };
+        socketServer.to(`ride_${rideId}`).emit("stopReached", update);
+        console.log(`rider ${user.id} reached stop ${stopIndex} on ride ${rideId}`);
+        return update;
       });
     }
 
     if (user.role === "customer") {
-      socket.on("subscribeToZone", (customerCoords) => {
+      onEvent(socket, "subscribeToZone", async (customerCoords) => {
         socket.user.coords = customerCoords;
-        sendNearbyRiders(socket, customerCoords);
+        presence.setZoneSubscription(socket.id, { userId: user.id, coords: customerCoords });
+        return sendNearbyRiders(socket, customerCoords);
       });
 
-      socket.on("getDriverDetails", async ({ riderId }) => {
-        try {
-          if (!riderId) {
-            return socket.emit("error", { message: "Driver ID is required" });
-          }
-          
-          const driver = await User.findById(riderId).select("firstName lastName phone licenseId _id");
-          
-          if (!driver) {
-            return socket.emit("error", { message: "Driver not found" });
-          }
-          
-          // Get driver's ratings
-          const ratings = await Rating.find({ rider: riderId });
-          
-          // Calculate average rating
-          const totalRatings = ratings.length;
-          const sumRatings = ratings.reduce((sum, rating) => sum + rating.rating, 0);
-          const averageRating = totalRatings > 0 ? (sumRatings / totalRatings).toFixed(1) : "0.0";
-          
-          // Send driver details back to the customer
-          socket.emit("driverDetailsResponse", {
-            _id: driver._id,
-            firstName: driver.firstName,
-            lastName: driver.lastName,
-            phone: driver.phone,
-            licenseId: driver.licenseId,
-            averageRating: averageRating,
-            totalRatings: totalRatings,
-            vehicleType: onDutyRiders.get(riderId)?.vehicleType || "auto" // Get vehicle type from onDuty data
-          });
-          
-          console.log(`Sent driver ${riderId} details to customer ${user.id}`);
-        } catch (error) {
-          console.error("Error fetching driver details:", error);
-          socket.emit("error", { message: "Error fetching driver details" });
+      onEvent(socket, "getDriverDetails", async ({ riderId }) => {
+        // Phone numbers are only shared with customers the rider has driven
+        const hasRideWithDriver = await Ride.exists({ customer: user.id, rider: riderId });
+        if (!hasRideWithDriver) {
+          throw new ForbiddenError("You can only see the details of your own drivers");
+        }
+
+        const driver = await User.findById(riderId).select("firstName lastName phone licenseId _id");
+
+        if (!driver) {
+          throw new NotFoundError("Driver not found");
         }
+
+        // Get driver's ratings
+        const ratings = await Rating.find({ rider: riderId });
+
+        // Calculate average rating
+        const totalRatings = ratings.length;
+        const sumRatings = ratings.reduce((sum, rating) => sum + rating.rating, 0);
+        const averageRating = totalRatings > 0 ? (sumRatings / totalRatings).toFixed(1) : "0.0";
+
+        const vehicle = (await getRiderProfiles([riderId])).get(riderId)?.vehicle || null;
+
+        const details = {
+          _id: driver._id,
+          firstName: driver.firstName,
+          lastName: driver.lastName,
+          phone: driver.phone,
+          licenseId: driver.licenseId,
+          averageRating: averageRating,
+          totalRatings: totalRatings,
+          vehicleType: vehicle?.type || null,
+          vehicle
+        };
+
+        // Send driver details back to the customer
+        socket.emit("driverDetailsResponse", details);
+
+        console.log(`Sent driver ${riderId} details to customer ${user.id}`);
+        return details;
       });
 
-      socket.on("searchrider", async (rideId) => {
-        try {
-          const ride = await Ride.findById(rideId).populate("customer rider");
-          if (!ride) return socket.emit("error", { message: "Ride not found" });
-
-          const { latitude: pickupLat, longitude: pickupLon } = ride.pickup;
-
-          let retries = 0;
-          let rideAccepted = false;
-          let canceled = false;
-          const MAX_RETRIES = 20;
-
-          const retrySearch = async () => {
-            if (canceled) return;
-            retries++;
-
-            const riders = sendNearbyRiders(socket, { latitude: pickupLat, longitude: pickupLon }, ride);
-            if (riders.length > 0 || retries >= MAX_RETRIES) {
-              clearInterval(retryInterval);
-              if (!rideAccepted && retries >= MAX_RETRIES) {
-                await Ride.findByIdAndDelete(rideId);
-                socket.emit("error", { message: "No riders found within 5 minutes." });
-              }
-            }
-          };
-
-          const retryInterval = setInterval(retrySearch, 10000);
-
-          socket.on("rideAccepted", () => {
-            rideAccepted = true;
-            clearInterval(retryInterval);
-          });
+      onEvent(socket, "searchrider", async ({ rideId }) => {
+        await findOwnRide(rideId, user);
+        await dispatchRide(rideId);
+
+        // cancelRide without a rideId cancels the ride searched last
+        socket.data.searchRideId = rideId;
+        return getDispatchStatus(rideId);
+      });
+
+      onEvent(socket, "cancelRide", async ({ rideId, reasonCode = "CHANGED_PLANS", note = "" }) => {
+        rideId = rideId || socket.data.searchRideId;
+        if (!rideId) throw new BadRequestError("rideId is required");
+
+        const currentRide = await findOwnRide(rideId, user);
 
-          socket.on("cancelRide", async () => {
-            canceled = true;
-            clearInterval(retryInterval);
-            await Ride.findByIdAndDelete(rideId);
-            socket.emit("rideCanceled", { message: "Ride canceled" });
-
-            if (ride.rider) {
-              const riderSocket = getRiderSocket(ride.rider._id);
-              riderSocket?.emit("rideCanceled", { message: `Customer ${user.id} canceled the ride.` });
-            }
-            console.log(`Customer ${user.id} canceled ride ${rideId}`);
+        // Only stop the search once the cancellation itself went through
+        cancelRide(currentRide, {
+          actorId: user.id,
+          actorRole: "customer",
+          reasonCode,
+          note,
+        });
+        await chargeCancellationFee(currentRide);
+        await currentRide.save();
+        await stopDispatch(rideId);
+        await broadcastPoolUpdate(socketServer, await syncPoolWithRide(currentRide));
+
+        socket.emit("rideCanceled", {
+          message: "Ride canceled",
+          cancellation: currentRide.cancellation,
+        });
+        closeRideRoom(rideId);
+
+        if (currentRide.rider) {
+          notifyUser(currentRide.rider, "rideCanceled", {
+            message: `Customer ${user.id} canceled the ride.`,
           });
-        } catch (error) {
-          console.error("Error searching for rider:", error);
-          socket.emit("error", { message: "Error searching for rider" });
         }
+        console.log(`Customer ${user.id} canceled ride ${rideId}`);
+        return { cancellation: currentRide.cancellation };
       });
     }
 
-    socket.on("subscribeToriderLocation", (riderId) => {
-      const rider = onDutyRiders.get(riderId);
-      if (rider) {
-        socket.join(`rider_${riderId}`);
-        socket.emit("riderLocationUpdate", { riderId, coords: rider.coords });
-        console.log(`User ${user.id} subscribed to rider ${riderId}'s location.`);
+    onEvent(socket, "subscribeToriderLocation", async ({ riderId }) => {
+      // Only customers being driven by the rider may follow them
+      const ridesWithRider = await Ride.exists({
+        customer: user.id,
+        rider: riderId,
+        status: { $in: ACTIVE_STATUSES },
+      });
+      if (!ridesWithRider) {
+        throw new ForbiddenError("You can only follow the rider on your current ride");
       }
+
+      const rider = presence.getRider(riderId);
+      socket.join(`rider_${riderId}`);
+      if (rider) socket.emit("riderLocationUpdate", { riderId, coords: rider.coords });
+      console.log(`User ${user.id} subscribed to rider ${riderId}'s location.`);
+      return { riderId, coords: rider?.coords || null };
     });
 
-    socket.on("subscribeRide", async (rideId) => {
-      socket.join(`ride_${rideId}`);
-      try {
-        const rideData = await Ride.findById(rideId).populate("customer rider");
-        socket.emit("rideData", rideData);
-      } catch (error) {
-        socket.emit("error", { message: "Failed to receive ride data" });
+    onEvent(socket, "subscribeRide", async ({ rideId }) => {
+      const rideData = await Ride.findById(rideId)
+        .select("+otp")
+        .populate("customer rider", PUBLIC_USER_FIELDS)
+    .populate("riderVehicle", PUBLIC_VEHICLE_FIELDS);
+      if (!rideData) throw new NotFoundError("Ride not found");
+
+      const memberIds = [rideData.customer?._id, rideData.rider?._id].map((memberId) =>
+        memberId?.toString()
+      );
+      if (!memberIds.includes(user.id)) {
+        throw new ForbiddenError("You can only follow your own rides");
       }
+
+      socket.join(`ride_${rideId}`);
+      presence.joinRideRoom(rideId, user.id);
+
+      const ride = hideOtpFrom(rideData, user.id);
+      socket.emit("rideData", ride);
+      return ride;
+    });
+
+    // Chat between a ride's customer and rider, delivered to the ride room.
+    // Receipts tell the sender their messages arrived and were seen.
+    onEvent(socket, "sendMessage", async ({ rideId, text, template }) => {
+      const message = await sendRideMessage(rideId, user.id, { text, template });
+      socketServer.to(`ride_${rideId}`).emit("chatMessage", message);
+      return message;
+    });
+
+    onEvent(socket, "markMessagesDelivered", async ({ rideId }) => {
+      const receipt = await markRideMessages(rideId, user.id, "delivered");
+      if (receipt) socketServer.to(`ride_${rideId}`).emit("chatReceipt", receipt);
+      return receipt;
+    });
+
+    onEvent(socket, "markMessagesRead", async ({ rideId }) => {
+      const receipt = await markRideMessages(rideId, user.id, "read");
+      if (receipt) socketServer.to(`ride_${rideId}`).emit("chatReceipt", receipt);
+      return receipt;
     });
 
     socket.on("disconnect", () => {
-      if (user.role === "rider") onDutyRiders.delete(user.id);
+      // A rider stays on duty for a short while so a network blip does not
+      // take them off the map. They may also already be back on another
+      // connection.
+      const rider = presence.getRider(user.id);
+      if (user.role === "rider" && rider?.socketId === socket.id) {
+        presence.setRider(user.id, {
+          socketId: rider.socketId,
+          coords: rider.coords,
+          vehicleType: rider.vehicleType,
+          disconnectedAt: Date.now(),
+        });
+        clearTimeout(offlineTimers.get(user.id));
+        offlineTimers.set(
+          user.id,
+          setTimeout(
+            () => takeRiderOffline(user.id, socket.id),
+            RIDER_RECONNECT_GRACE_SECONDS * 1000
+          )
+        );
+      }
+      presence.removeZoneSubscription(socket.id);
       console.log(`${user.role} ${user.id} disconnected.`);
     });
+  });
+};
 
-    function updateNearbyriders() {
-      io.sockets.sockets.forEach((socket) => {
-        if (socket.user?.role === "customer") {
-          const customerCoords = socket.user.coords;
-          if (customerCoords) sendNearbyRiders(socket, customerCoords);
-        }
-      });
-    }
+// Load a ride the customer owns, for events that act on it
+async function findOwnRide(rideId, user) {
+  const ride = await Ride.findById(rideId);
+  if (!ride) throw new NotFoundError("Ride not found");
 
-    async function sendNearbyRiders(socket, location, ride = null) {
-      try {
-        const nearbyRidersArray = Array.from(onDutyRiders.entries()).map(
-          async ([riderId, riderData]) => {
-            // Get basic rider info from database for each nearby rider
-            const riderInfo = await User.findById(riderId).select(
-              "firstName lastName vehicleType"
-            );
-            
-            return {
-              ...riderData,
-              riderId,
-              distance: geolib.getDistance(riderData.coords, location),
-              vehicleType: riderInfo?.vehicleType || "auto",
-            };
-          }
-        );
+  if (ride.customer.toString() !== user.id) {
+    throw new ForbiddenError("You can only manage your own rides");
+  }
+  return ride;
+}
 
-        const resolvedRiders = await Promise.all(nearbyRidersArray);
-        
-        const nearbyriders = resolvedRiders
-          .filter((rider) => rider.distance <= 60000)
-          .sort((a, b) => a.distance - b.distance);
+function takeRiderOffline(riderId, socketId) {
+  offlineTimers.delete(riderId);
+  if (presence.getRider(riderId)?.socketId !== socketId) return;
 
-        socket.emit("nearbyriders", nearbyriders);
+  presence.removeRider(riderId);
+  forgetRiderLocation(riderId);
+  updateNearbyriders();
+  console.log(`rider ${riderId} did not reconnect and is now off duty.`);
+}
 
-        if (ride) {
-          nearbyriders.forEach((rider) => {
-            io.to(rider.socketId).emit("rideOffer", ride);
-          });
-        }
+// Put a rider who reconnected within the grace period back on duty
+function resumeDuty(socket) {
+  const riderId = socket.user.id;
+  const rider = presence.getRider(riderId);
+  if (!rider) return;
 
-        return nearbyriders;
-      } catch (error) {
-        console.error("Error sending nearby riders:", error);
-        return [];
-      }
-    }
+  clearTimeout(offlineTimers.get(riderId));
+  offlineTimers.delete(riderId);
 
-    function getRiderSocket(riderId) {
-      const rider = onDutyRiders.get(riderId);
-      return rider ? io.sockets.sockets.get(rider.socketId) : null;
-    }
+  presence.setRider(riderId, {
+    socketId: socket.id,
+    coords: rider.coords,
+    vehicleType: rider.vehicleType,
+  });
+  socket.join("onDuty");
+  socket.emit("dutyResumed", { coords: rider.coords });
+  console.log(`rider ${riderId} reconnected and is back on duty.`);
+}
+
+// Rejoin the rooms of a user's unfinished rides and send them where each
+// ride stands, so a reconnecting app can pick up where it left off
+async function resumeActiveRides(socket) {
+  const { id: userId, role } = socket.user;
+  if (role !== "customer" && role !== "rider") return;
+
+  const rides = await Ride.find({
+    [role]: userId,
+    status: { $in: ["SEARCHING_FOR_RIDER", ...ACTIVE_STATUSES] },
+  })
+    .select("+otp")
+    .populate("customer rider", PUBLIC_USER_FIELDS)
+        .populate("riderVehicle", PUBLIC_VEHICLE_FIELDS);
+
+  const activeRideIds = new Set(rides.map((ride) => ride._id.toString()));
+  presence
+    .getUserRideRooms(userId)
+    .filter((rideId) => !activeRideIds.has(rideId))
+    .forEach((rideId) => presence.leaveRideRoom(rideId, userId));
+
+  if (!rides.length) return;
+
+  rides.forEach((ride) => {
+    socket.join(`ride_${ride._id}`);
+    presence.joinRideRoom(ride._id.toString(), userId);
+    if (role === "customer" && ride.rider) socket.join(`rider_${ride.rider._id}`);
+  });
+
+  socket.emit("rideResume", {
+    rides: await Promise.all(
+      rides.map(async (ride) => ({
+        ride: hideOtpFrom(ride, userId),
+        riderLocation: ride.rider
+          ? presence.getRider(ride.rider._id.toString())?.coords || null
+          : null,
+        search:
+          ride.status === "SEARCHING_FOR_RIDER" ? await getDispatchStatus(ride._id) : null,
+      }))
+    ),
   });
+}
+
+// Rider movements are frequent, so instead of pushing to every customer on
+// every update, changes are collected and flushed on a timer
+function updateNearbyriders() {
+  if (nearbyPushTimer) return;
+  nearbyPushTimer = setTimeout(flushNearbyRiders, NEARBY_PUSH_INTERVAL);
+}
+
+async function flushNearbyRiders() {
+  nearbyPushTimer = null;
+
+  // Each instance pushes to the customers connected to it
+  for (const { socketId, coords: customerCoords } of presence.getZoneSubscriptions()) {
+    const socket = socketServer.sockets.sockets.get(socketId);
+    if (!socket || !customerCoords) continue;
+
+    const nearbyriders = await describeRiders(
+      findNearestRiders(customerCoords, NEARBY_LIMIT, NEARBY_RADIUS)
+    );
+
+    // Skip customers whose view did not change since the last push
+    const signature = nearbyriders
+      .map((rider) => `${rider.riderId}@${rider.coords?.latitude},${rider.coords?.longitude}`)
+      .join("|");
+    if (socket.data.nearbySignature === signature) continue;
+
+    socket.data.nearbySignature = signature;
+    socket.emit("nearbyriders", nearbyriders);
+  }
+}
+
+// Attach socket and profile details to riders found in the spatial index
+async function describeRiders(riders) {
+  const profiles = await getRiderProfiles(riders.map((rider) => rider.riderId));
+
+  return riders
+    .filter((rider) => presence.hasRider(rider.riderId))
+    .map((rider) => {
+      const { socketId, coords } = presence.getRider(rider.riderId);
+      return {
+        socketId,
+        coords,
+        riderId: rider.riderId,
+        distance: rider.distance,
+        vehicleType: profiles.get(rider.riderId)?.vehicle?.type || null,
+      };
+    });
+}
+
+async function sendNearbyRiders(target, location) {
+  try {
+    const nearbyriders = await describeRiders(
+      findNearestRiders(location, NEARBY_LIMIT, NEARBY_RADIUS)
+    );
+    target.emit("nearbyriders", nearbyriders);
+    return nearbyriders;
+  } catch (error) {
+    console.error("Error sending nearby riders:", error);
+    return [];
+  }
+}
+
+// Forget who was in a ride's room once the ride is over, so the presence
+// store does not keep finished rides around
+export const closeRideRoom = (rideId) => {
+  presence.clearRideRoom(rideId.toString());
+};
+
+// Push an event to every socket a user has open
+export const notifyUser = (userId, event, payload) => {
+  socketServer?.to(`user_${userId}`).emit(event, payload);
 };
 
 export default handleSocketConnection;
@@ -0,0 +1,41 @@
+import { StatusCodes } from 'http-status-codes';
+import { BadRequestError } from '../errors/index.js';
+import { getSurgeZones, isSurgeEnabled, setSurgeEnabled } from '../utils/surge.js';
+
+// Get surge status and the current multiplier of every busy zone
+export const getSurgeStatus = async (req, res) => {
+  res.status(StatusCodes.OK).json({
+    enabled: isSurgeEnabled(),
+    zones: getSurgeZones()
+  });
+};
+
+// Kill switch for surge pricing
+export const updateSurgeStatus = async (req, res) => {
+  try {
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      throw new BadRequestError('enabled must be true or false');
+    }
+
+    await setSurgeEnabled(enabled, req.user?.id);
+
+    res.status(StatusCodes.OK).json({
+      message: `Surge pricing ${enabled ? 'enabled' : 'disabled'}`,
+      enabled: isSurgeEnabled()
+    });
+  } catch (error) {
+    console.error('Error updating surge status:', error);
+
+    if (error instanceof BadRequestError) {
+      res.status(StatusCodes.BAD_REQUEST).json({ message: error.message });
+      return;
+    }
+
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      message: 'Error updating surge status',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,101 @@
+import Vehicle, { VEHICLE_TYPES } from "../models/Vehicle.js";
+import { BadRequestError, NotFoundError } from "../errors/index.js";
+import { StatusCodes } from "http-status-codes";
+import { VEHICLE_CAPACITY } from "../utils/ridePool.js";
+import { activateVehicle } from "../utils/vehicles.js";
+import { invalidateRiderProfile } from "../utils/riderProfiles.js";
+
+const assertRider = (user) => {
+  if (user.role !== "rider") {
+    throw new BadRequestError("Only riders can manage vehicles");
+  }
+};
+
+const findMyVehicle = async (vehicleId, riderId) => {
+  const vehicle = await Vehicle.findOne({ _id: vehicleId, rider: riderId });
+  if (!vehicle) {
+    throw new NotFoundError("Vehicle not found");
+  }
+  return vehicle;
+};
+
+export const getMyVehicles = async (req, res) => {
+  assertRider(req.user);
+
+  const vehicles = await Vehicle.find({ rider: req.user.id }).sort({ createdAt: -1 });
+
+  res.status(StatusCodes.OK).json({
+    message: "Vehicles retrieved successfully",
+    count: vehicles.length,
+    vehicles,
+  });
+};
+
+// Register a vehicle. It stays pending until an admin approves it.
+export const registerVehicle = async (req, res) => {
+  assertRider(req.user);
+
+  const { type, plateNumber, make, model, colour, capacity, electric = false } = req.body;
+
+  if (!VEHICLE_TYPES.includes(type)) {
+    throw new BadRequestError(`Vehicle type must be one of ${VEHICLE_TYPES.join(", ")}`);
+  }
+
+  if (!plateNumber || !make || !model || !colour) {
+    throw new BadRequestError("Plate number, make, model and colour are required");
+  }
+
+  const seats = capacity === undefined ? VEHICLE_CAPACITY[type] : Number(capacity);
+  if (!Number.isInteger(seats) || seats < 1) {
+    throw new BadRequestError("Capacity must be a whole number of seats");
+  }
+
+  const plate = plateNumber.trim().toUpperCase();
+  if (await Vehicle.exists({ plateNumber: plate })) {
+    throw new BadRequestError("A vehicle with this plate number is already registered");
+  }
+
+  const vehicle = await Vehicle.create({
+    rider: req.user.id,
+    type,
+    plateNumber: plate,
+    make,
+    model,
+    colour,
+    capacity: seats,
+    electric: Boolean(electric),
+  });
+
+  res.status(StatusCodes.CREATED).json({
+    message: "Vehicle registered and waiting for approval",
+    vehicle,
+  });
+};
+
+export const activateMyVehicle = async (req, res) => {
+  assertRider(req.user);
+
+  const vehicle = await findMyVehicle(req.params.id, req.user.id);
+  await activateVehicle(vehicle);
+  invalidateRiderProfile(req.user.id);
+
+  res.status(StatusCodes.OK).json({
+    message: "Vehicle is now your active vehicle",
+    vehicle,
+  });
+};
+
+export const deleteMyVehicle = async (req, res) => {
+  assertRider(req.user);
+
+  const vehicle = await findMyVehicle(req.params.id, req.user.id);
+  if (vehicle.active) {
+    throw new BadRequestError("Activate another vehicle before removing your active one");
+  }
+
+  await vehicle.deleteOne();
+
+  res.status(StatusCodes.OK).json({
+    message: "Vehicle removed successfully",
+  });
+};
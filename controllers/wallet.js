@@ -0,0 +1,115 @@
+import Transaction from "../models/Transaction.js";
+import TopUp from "../models/TopUp.js";
+import { BadRequestError, ConflictError } from "../errors/index.js";
+import { StatusCodes } from "http-status-codes";
+import { GATEWAY_ACCOUNT, getWallet, transfer, walletAccount } from "../utils/ledger.js";
+import { getPaymentProvider } from "../utils/paymentProvider.js";
+
+const MAX_TOP_UP = Number(process.env.MAX_WALLET_TOP_UP) || 5000;
+
+export const getMyWallet = async (req, res) => {
+  const wallet = await getWallet(req.user.id);
+
+  res.status(StatusCodes.OK).json({
+    message: "Wallet retrieved successfully",
+    wallet,
+  });
+};
+
+export const getMyTransactions = async (req, res) => {
+  const userId = req.user.id;
+  const { type } = req.query;
+
+  const query = { users: userId };
+  if (type) {
+    query.type = type;
+  }
+
+  const transactions = await Transaction.find(query)
+    .populate("ride", "pickup drop fare createdAt")
+    .sort({ createdAt: -1 });
+
+  res.status(StatusCodes.OK).json({
+    message: "Transactions retrieved successfully",
+    count: transactions.length,
+    transactions,
+  });
+};
+
+export const topUpWallet = async (req, res) => {
+  const userId = req.user.id;
+  const { amount, source, idempotencyKey } = req.body;
+
+  if (typeof amount !== "number" || amount <= 0 || amount > MAX_TOP_UP) {
+    throw new BadRequestError(`Top-up amount must be between 0 and ${MAX_TOP_UP}`);
+  }
+
+  if (!source) {
+    throw new BadRequestError("A payment source is required");
+  }
+
+  const key = idempotencyKey ? `top_up:${userId}:${idempotencyKey}` : undefined;
+
+  // Claim the key before charging, so a retried request that arrives while
+  // the first is still running cannot charge the customer a second time
+  let topUp;
+  try {
+    topUp = await TopUp.create({ user: userId, amount, source, idempotencyKey: key });
+  } catch (error) {
+    if (!(key && error.code === 11000)) throw error;
+
+    const existing = await TopUp.findOne({ idempotencyKey: key }).populate("transaction");
+    if (existing.status === "SUCCEEDED") {
+      return res.status(StatusCodes.OK).json({
+        message: "Top-up already processed",
+        wallet: await getWallet(userId),
+        transaction: existing.transaction,
+      });
+    }
+    if (existing.status === "FAILED") {
+      throw new BadRequestError("Payment was declined by the provider");
+    }
+    // Still charging, or the provider never answered; it is left for review
+    // rather than charged again
+    throw new ConflictError("This top-up is already being processed");
+  }
+
+  const wallet = await getWallet(userId);
+  const provider = getPaymentProvider();
+  const charge = await provider.charge({
+    amount,
+    currency: wallet.currency,
+    userId,
+    source,
+  });
+
+  if (charge.status !== "succeeded") {
+    await TopUp.updateOne(
+      { _id: topUp._id },
+      { status: "FAILED", reference: charge.reference }
+    );
+    throw new BadRequestError("Payment was declined by the provider");
+  }
+
+  const transaction = await transfer({
+    type: "TOP_UP",
+    from: GATEWAY_ACCOUNT,
+    to: walletAccount(userId),
+    amount,
+    description: `Top-up via ${provider.name}`,
+    reference: charge.reference,
+    idempotencyKey: key,
+    createdBy: userId,
+  });
+
+  await TopUp.updateOne(
+    { _id: topUp._id },
+    { status: "SUCCEEDED", reference: charge.reference, transaction: transaction._id }
+  );
+
+  res.status(StatusCodes.CREATED).json({
+    message: "Wallet topped up successfully",
+    wallet: await getWallet(userId),
+    transaction,
+  });
+};
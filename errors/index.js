@@ -2,5 +2,16 @@ import CustomAPIError from "./custom-api.js";
 import UnauthenticatedError from "./unauthenticated.js";
 import NotFoundError from "./not-found.js";
 import BadRequestError from "./bad-request.js";
+import TooManyRequestsError from "./too-many-requests.js";
+import ConflictError from "./conflict.js";
+import ForbiddenError from "./forbidden.js";
 
-export { CustomAPIError, UnauthenticatedError, NotFoundError, BadRequestError };
+export {
+  CustomAPIError,
+  UnauthenticatedError,
+  NotFoundError,
+  BadRequestError,
+  TooManyRequestsError,
+  ConflictError,
+  ForbiddenError,
+};
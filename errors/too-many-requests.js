@@ -0,0 +1,11 @@
+import { StatusCodes } from "http-status-codes";
+import CustomAPIError from "./custom-api.js";
+
+class TooManyRequestsError extends CustomAPIError {
+  constructor(message) {
+    super(message);
+    this.statusCode = StatusCodes.TOO_MANY_REQUESTS;
+  }
+}
+
+export default TooManyRequestsError;
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const DISPATCH_JOB_STATUSES = ["ACTIVE", "MATCHED", "CANCELLED", "EXPIRED"];
+
+// The search for a rider for one ride. Kept in the database so any server
+// instance can pick it up, and so searches carry on across restarts.
+const dispatchJobSchema = new Schema(
+  {
+    ride: {
+      type: Schema.Types.ObjectId,
+      ref: "Ride",
+      required: true,
+      unique: true,
+    },
+    customer: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: DISPATCH_JOB_STATUSES,
+      default: "ACTIVE",
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // When the search gives up; null on jobs created before this was stored
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // When the worker should next look at this job
+    nextRunAt: {
+      type: Date,
+      default: Date.now,
+    },
+    offersMade: {
+      type: Number,
+      default: 0,
+    },
+    currentOffer: {
+      type: Schema.Types.ObjectId,
+      ref: "RideOffer",
+      default: null,
+    },
+    // Instance working on the job and until when; a crashed instance's lock
+    // simply runs out
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dispatchJobSchema.index({ status: 1, nextRunAt: 1 });
+
+const DispatchJob = mongoose.model("DispatchJob", dispatchJobSchema);
+export default DispatchJob;
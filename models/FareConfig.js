@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const vehicleRateSchema = new Schema(
+  {
+    baseFare: { type: Number, required: true, min: 0 },
+    perKmRate: { type: Number, required: true, min: 0 },
+    minimumFare: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const fareConfigSchema = new Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    effectiveFrom: {
+      type: Date,
+      required: true,
+    },
+    rates: {
+      bike: { type: vehicleRateSchema, required: true },
+      auto: { type: vehicleRateSchema, required: true },
+      cabEconomy: { type: vehicleRateSchema, required: true },
+      cabPremium: { type: vehicleRateSchema, required: true },
+    },
+    notes: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+fareConfigSchema.index({ effectiveFrom: -1, version: -1 });
+
+const FareConfig = mongoose.model("FareConfig", fareConfigSchema);
+export default FareConfig;
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Earnings of one rider over a period, settled in a single payout
+const payoutBatchSchema = new Schema(
+  {
+    rider: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    periodStart: {
+      type: Date,
+      default: null,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    rides: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "Ride",
+      },
+    ],
+    rideCount: { type: Number, default: 0 },
+    grossFare: { type: Number, default: 0 },
+    commission: { type: Number, default: 0 },
+    commissionPercent: { type: Number, required: true },
+    tips: { type: Number, default: 0 },
+    netEarnings: { type: Number, default: 0 },
+    cashCollected: { type: Number, default: 0 },
+    cashCommission: { type: Number, default: 0 },
+    // Negative when the rider holds more cash than they earned
+    amountDue: { type: Number, default: 0 },
+    status: {
+      type: String,
+      enum: ["PENDING", "PROCESSING", "PAID", "FAILED"],
+      default: "PENDING",
+    },
+    // Payment attempts so far; each one gets its own ledger posting
+    attempts: { type: Number, default: 0 },
+    transaction: {
+      type: Schema.Types.ObjectId,
+      ref: "Transaction",
+      default: null,
+    },
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+payoutBatchSchema.index({ rider: 1, createdAt: -1 });
+
+const PayoutBatch = mongoose.model("PayoutBatch", payoutBatchSchema);
+export default PayoutBatch;
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import { RIDE_STATUSES } from '../utils/rideStatus.js';
+import { CANCELLATION_REASONS } from '../utils/cancellation.js';
+import { PAYMENT_METHODS, PAYMENT_STATUSES } from '../utils/ridePayment.js';
 
 const { Schema } = mongoose;
 
@@ -23,10 +26,167 @@ const rideSchema = new Schema(
       latitude: { type: Number, required: true },
       longitude: { type: Number, required: true },
     },
+    stops: [
+      {
+        address: { type: String, required: true },
+        latitude: { type: Number, required: true },
+        longitude: { type: Number, required: true },
+        status: {
+          type: String,
+          enum: ["PENDING", "REACHED"],
+          default: "PENDING",
+        },
+        reachedAt: { type: Date, default: null },
+        addedMidRide: { type: Boolean, default: false },
+      },
+    ],
+    // Stop the customer asked to add during the trip, waiting for them to
+    // accept the re-quoted fare
+    pendingStop: {
+      type: new Schema(
+        {
+          address: { type: String, required: true },
+          latitude: { type: Number, required: true },
+          longitude: { type: Number, required: true },
+          distance: { type: Number, required: true },
+          fare: { type: Number, required: true },
+          expiresAt: { type: Date, required: true },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
     fare: {
       type: Number,
       required: true,
     },
+    pooled: {
+      type: Boolean,
+      default: false,
+    },
+    pool: {
+      type: Schema.Types.ObjectId,
+      ref: "RidePool",
+      default: null,
+    },
+    // What the passenger would pay alone; fare holds their share of the pool
+    soloFare: {
+      type: Number,
+      default: null,
+    },
+    fareConfig: {
+      type: Schema.Types.ObjectId,
+      ref: "FareConfig",
+      default: null,
+    },
+    fareVersion: {
+      type: Number,
+      default: 0,
+    },
+    surgeMultiplier: {
+      type: Number,
+      default: 1,
+    },
+    paymentMethod: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      default: "CASH",
+    },
+    paymentStatus: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+      default: "PENDING",
+    },
+    paymentTransaction: {
+      type: Schema.Types.ObjectId,
+      ref: "Transaction",
+      default: null,
+    },
+    tip: {
+      type: new Schema(
+        {
+          amount: { type: Number, required: true, min: 0 },
+          paymentMethod: { type: String, enum: PAYMENT_METHODS, required: true },
+          transaction: { type: Schema.Types.ObjectId, ref: "Transaction", default: null },
+          tippedAt: { type: Date, default: Date.now },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    // Vehicle the rider drove, recorded when the ride is accepted
+    riderVehicle: {
+      type: Schema.Types.ObjectId,
+      ref: "Vehicle",
+      default: null,
+    },
+    // Fare agreed before the trip and the one charged once it was driven.
+    // fare holds the amount charged.
+    quotedFare: {
+      type: Number,
+      default: null,
+    },
+    finalFare: {
+      type: Number,
+      default: null,
+    },
+    fareAdjustment: {
+      type: new Schema(
+        {
+          reasons: [
+            {
+              type: String,
+              enum: [
+                "ACTUAL_DISTANCE",
+                "WAITING_TIME",
+                "CAPPED",
+                "NO_TRACE",
+                "NO_RATE_CARD",
+                "POOLED_FARE",
+              ],
+            },
+          ],
+          quotedDistance: { type: Number, required: true },
+          actualDistance: { type: Number, default: null },
+          waitingMinutes: { type: Number, default: 0 },
+          waitingCharge: { type: Number, default: 0 },
+          uncappedFare: { type: Number, required: true },
+          capped: { type: Boolean, default: false },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    carbon: {
+      type: new Schema(
+        {
+          // Kilometres the figures are based on
+          distance: { type: Number, default: null },
+          factor: { type: Number, required: true },
+          electric: { type: Boolean, default: false },
+          passengers: { type: Number, default: 1 },
+          emissionsKg: { type: Number, required: true },
+          baselineKg: { type: Number, required: true },
+          savedKg: { type: Number, required: true },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    // Platform share of the fare, fixed when the ride completes
+    commission: {
+      type: Number,
+      default: null,
+    },
+    payoutBatch: {
+      type: Schema.Types.ObjectId,
+      ref: "PayoutBatch",
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
     customer: {
       type: Schema.Types.ObjectId,
       ref: "User",
@@ -39,12 +199,60 @@ const rideSchema = new Schema(
     },
     status: {
       type: String,
-      enum: ["SEARCHING_FOR_RIDER", "START", "ARRIVED", "COMPLETED"],
+      enum: RIDE_STATUSES,
       default: "SEARCHING_FOR_RIDER",
     },
+    scheduledAt: {
+      type: Date,
+      default: null,
+    },
+    reminderSentAt: {
+      type: Date,
+      default: null,
+    },
+    statusHistory: [
+      {
+        from: { type: String, enum: RIDE_STATUSES, default: null },
+        to: { type: String, enum: RIDE_STATUSES, required: true },
+        changedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+        actorRole: {
+          type: String,
+          enum: ["customer", "rider", "admin", "system"],
+          required: true,
+        },
+        reason: { type: String, default: "" },
+        at: { type: Date, default: Date.now },
+      },
+    ],
     otp: {
       type: String,
       default: null,
+      select: false,
+    },
+    otpAttempts: {
+      type: Number,
+      default: 0,
+    },
+    otpLockedUntil: {
+      type: Date,
+      default: null,
+    },
+    otpVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    cancellation: {
+      cancelledBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+      actorRole: {
+        type: String,
+        enum: ["customer", "rider", "admin", "system"],
+      },
+      reasonCode: { type: String, enum: CANCELLATION_REASONS },
+      note: { type: String, trim: true, default: "" },
+      fee: { type: Number, default: 0 },
+      // Ledger posting that charged the fee; null when it was not charged
+      feeTransaction: { type: Schema.Types.ObjectId, ref: "Transaction", default: null },
+      at: { type: Date },
     },
   },
   {
@@ -52,5 +260,22 @@ const rideSchema = new Schema(
   }
 );
 
+rideSchema.index({ status: 1, scheduledAt: 1 });
+rideSchema.index({ rider: 1, status: 1, completedAt: -1 });
+rideSchema.index({ customer: 1, status: 1, completedAt: -1 });
+
+// Record the initial status so the history always starts at booking time
+rideSchema.pre('save', function() {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      from: null,
+      to: this.status,
+      changedBy: this.customer,
+      actorRole: "customer",
+      at: new Date(),
+    });
+  }
+});
+
 const Ride = mongoose.model("Ride", rideSchema);
 export default Ride;
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// A chat message between the customer and the rider of a ride
+const rideMessageSchema = new Schema(
+  {
+    ride: {
+      type: Schema.Types.ObjectId,
+      ref: "Ride",
+      required: true,
+    },
+    sender: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    senderRole: {
+      type: String,
+      enum: ["customer", "rider"],
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500,
+    },
+    // Quick reply the message was sent from, if any
+    template: {
+      type: String,
+      default: null,
+    },
+    // Set when the other side's app received the message, and when they saw it
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+rideMessageSchema.index({ ride: 1, createdAt: 1 });
+
+const RideMessage = mongoose.model("RideMessage", rideMessageSchema);
+export default RideMessage;
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const OFFER_STATUSES = ["PENDING", "ACCEPTED", "DECLINED", "TIMED_OUT", "WITHDRAWN"];
+
+// One offer of a ride to one rider during dispatch, and what became of it
+const rideOfferSchema = new Schema(
+  {
+    ride: {
+      type: Schema.Types.ObjectId,
+      ref: "Ride",
+      required: true,
+    },
+    rider: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Position in the dispatch sequence for this ride, starting at 1
+    attempt: {
+      type: Number,
+      required: true,
+    },
+    score: {
+      type: Number,
+      required: true,
+    },
+    // Meters from the rider to the pickup when the offer was made
+    distance: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: OFFER_STATUSES,
+      default: "PENDING",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+rideOfferSchema.index({ ride: 1, createdAt: 1 });
+rideOfferSchema.index({ rider: 1, createdAt: -1 });
+rideOfferSchema.index({ status: 1, expiresAt: 1 });
+
+const RideOffer = mongoose.model("RideOffer", rideOfferSchema);
+export default RideOffer;
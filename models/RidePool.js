@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// A shared trip: one rider, one vehicle and several passenger rides whose
+// pickups and drops are visited in the order given by route
+const ridePoolSchema = new Schema(
+  {
+    vehicle: {
+      type: String,
+      enum: ["bike", "auto", "cabEconomy", "cabPremium"],
+      required: true,
+    },
+    rider: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // The rider's vehicle, given to passengers who join later
+    riderVehicle: {
+      type: Schema.Types.ObjectId,
+      ref: "Vehicle",
+      default: null,
+    },
+    rides: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "Ride",
+      },
+    ],
+    route: [
+      {
+        ride: { type: Schema.Types.ObjectId, ref: "Ride", required: true },
+        type: { type: String, enum: ["PICKUP", "DROP"], required: true },
+        address: { type: String, required: true },
+        latitude: { type: Number, required: true },
+        longitude: { type: Number, required: true },
+        done: { type: Boolean, default: false },
+      },
+    ],
+    distance: {
+      type: Number,
+      default: 0,
+    },
+    fareVersion: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["OPEN", "CLOSED"],
+      default: "OPEN",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ridePoolSchema.index({ status: 1, vehicle: 1 });
+
+const RidePool = mongoose.model("RidePool", ridePoolSchema);
+export default RidePool;
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Small key/value store for runtime switches admins can flip without a deploy
+const settingSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    value: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Setting = mongoose.model("Setting", settingSchema);
+export default Setting;
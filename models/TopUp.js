@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// One attempt to add money to a wallet through the payment provider. It is
+// created before the card is charged, so a retried request with the same
+// idempotency key finds it instead of charging again.
+const topUpSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    source: {
+      type: String,
+      required: true,
+    },
+    idempotencyKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    status: {
+      type: String,
+      enum: ["PENDING", "SUCCEEDED", "FAILED"],
+      default: "PENDING",
+    },
+    // Reference returned by the payment provider
+    reference: {
+      type: String,
+      default: null,
+    },
+    transaction: {
+      type: Schema.Types.ObjectId,
+      ref: "Transaction",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+topUpSchema.index({ user: 1, createdAt: -1 });
+
+const TopUp = mongoose.model("TopUp", topUpSchema);
+export default TopUp;
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const TRANSACTION_TYPES = [
+  "TOP_UP",
+  "RIDE_CHARGE",
+  "TIP",
+  "REFUND",
+  "PAYOUT",
+  "ADJUSTMENT",
+  "CANCELLATION_FEE",
+];
+
+// One line of a double-entry posting. Accounts are plain strings such as
+// "wallet:<userId>" or "external:gateway".
+const entrySchema = new Schema(
+  {
+    account: { type: String, required: true },
+    direction: { type: String, enum: ["DEBIT", "CREDIT"], required: true },
+    amount: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const transactionSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: TRANSACTION_TYPES,
+      required: true,
+    },
+    entries: {
+      type: [entrySchema],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    ride: {
+      type: Schema.Types.ObjectId,
+      ref: "Ride",
+      default: null,
+    },
+    // Users whose wallets this transaction touches, for history lookups
+    users: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    description: {
+      type: String,
+      default: '',
+    },
+    // Reference returned by the payment provider, if any
+    reference: {
+      type: String,
+      default: null,
+    },
+    idempotencyKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+transactionSchema.index({ users: 1, createdAt: -1 });
+
+// Debits and credits of every transaction must balance
+transactionSchema.pre('validate', function() {
+  const total = (direction) =>
+    this.entries
+      .filter((entry) => entry.direction === direction)
+      .reduce((sum, entry) => sum + entry.amount, 0);
+
+  if (Math.abs(total("DEBIT") - total("CREDIT")) > 0.001) {
+    this.invalidate('entries', 'Transaction entries must balance');
+  }
+});
+
+const Transaction = mongoose.model("Transaction", transactionSchema);
+export default Transaction;
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// GPS points the rider's app reported while a ride was underway, kept for
+// route reconstruction and dispute handling
+const tripTraceSchema = new Schema(
+  {
+    ride: {
+      type: Schema.Types.ObjectId,
+      ref: "Ride",
+      required: true,
+      unique: true,
+    },
+    rider: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    points: [
+      {
+        latitude: { type: Number, required: true },
+        longitude: { type: Number, required: true },
+        accuracy: { type: Number, default: null },
+        speed: { type: Number, default: null },
+        heading: { type: Number, default: null },
+        // Ride status when the point was recorded
+        status: { type: String, required: true },
+        recordedAt: { type: Date, required: true },
+        _id: false,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const TripTrace = mongoose.model("TripTrace", tripTraceSchema);
+export default TripTrace;
@@ -67,6 +67,12 @@ const userSchema = new Schema(
     disapprovalReason: {
       type: String,
       default: '',
+    },
+    // Held by a rider while one of their ride acceptances is in flight, so
+    // two accepts at once cannot both pass the one-active-ride check
+    acceptingRideUntil: {
+      type: Date,
+      default: null,
     }
   },
   {
@@ -109,5 +115,8 @@ userSchema.methods.createRefreshToken = function () {
   );
 };
 
+// What the other side of a ride may see about a user
+export const PUBLIC_USER_FIELDS = "firstName lastName phone role";
+
 const User = mongoose.model("User", userSchema);
 export default User;
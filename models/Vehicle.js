@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const VEHICLE_TYPES = ["bike", "auto", "cabEconomy", "cabPremium"];
+
+// A vehicle a rider drives. Only approved vehicles can be used, and a rider
+// has at most one active vehicle that dispatch matches against.
+const vehicleSchema = new Schema(
+  {
+    rider: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: VEHICLE_TYPES,
+      required: true,
+    },
+    plateNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    make: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    model: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    colour: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Passenger seats
+    capacity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    electric: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "disapproved"],
+      default: "pending",
+    },
+    disapprovalReason: {
+      type: String,
+      default: null,
+    },
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    active: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+vehicleSchema.index(
+  { rider: 1, active: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+vehicleSchema.index({ status: 1, createdAt: -1 });
+
+const Vehicle = mongoose.model("Vehicle", vehicleSchema);
+export default Vehicle;
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const walletSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    balance: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: process.env.CURRENCY || "PHP",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Wallet = mongoose.model("Wallet", walletSchema);
+export default Wallet;
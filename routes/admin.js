@@ -5,25 +5,39 @@ import {
   approveUser, 
   disapproveUser, 
   updateUser, 
-  deleteUser 
+  deleteUser,
+  adjustWallet,
+  refundRide,
+  getRideChat,
+  getVehicles,
+  approveVehicle,
+  disapproveVehicle
 } from '../controllers/admin.js';
+import {
+  getFareConfigs,
+  getActiveFareConfig,
+  createFareConfig,
+  updateFareConfig,
+  deleteFareConfig
+} from '../controllers/fareConfig.js';
+import { getSurgeStatus, updateSurgeStatus } from '../controllers/surge.js';
+import {
+  getPayoutBatches,
+  generatePayoutBatches,
+  payPayoutBatch
+} from '../controllers/payout.js';
 import authenticateUser from '../middleware/authentication.js';
+import { ForbiddenError } from '../errors/index.js';
 
 const router = express.Router();
 
 // Admin middleware to check if user has admin role
 const isAdmin = (req, res, next) => {
-  // Temporarily bypass admin check for development
-  return next();
-  
-  // Original check (commented out for now)
-  /*
   if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
-    res.status(403).json({ message: 'Access denied. Admin privileges required.' });
+    return next();
   }
-  */
+
+  throw new ForbiddenError('Access denied. Admin privileges required.');
 };
 
 // Apply authentication and admin check to all routes
@@ -37,4 +51,32 @@ router.put('/users/:id/disapprove', disapproveUser);
 router.put('/users/:id', updateUser);
 router.delete('/users/:id', deleteUser);
 
+// Vehicle review routes
+router.get('/vehicles', getVehicles);
+router.put('/vehicles/:id/approve', approveVehicle);
+router.put('/vehicles/:id/disapprove', disapproveVehicle);
+
+// Wallet and payment routes
+router.post('/wallets/:userId/adjust', adjustWallet);
+router.post('/rides/:rideId/refund', refundRide);
+
+// Ride dispute routes
+router.get('/rides/:rideId/messages', getRideChat);
+
+// Rider payout routes
+router.get('/payouts', getPayoutBatches);
+router.post('/payouts', generatePayoutBatches);
+router.post('/payouts/:id/pay', payPayoutBatch);
+
+// Fare configuration routes
+router.get('/fares', getFareConfigs);
+router.get('/fares/active', getActiveFareConfig);
+router.post('/fares', createFareConfig);
+router.put('/fares/:id', updateFareConfig);
+router.delete('/fares/:id', deleteFareConfig);
+
+// Surge pricing routes
+router.get('/surge', getSurgeStatus);
+router.put('/surge', updateSurgeStatus);
+
 export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import {
+  getQuickReplies,
+  getMessages,
+  sendMessage,
+  markMessagesRead
+} from '../controllers/chat.js';
+
+const router = express.Router();
+
+router.get('/quick-replies', getQuickReplies);
+router.get('/:rideId/messages', getMessages);
+router.post('/:rideId/messages', sendMessage);
+router.patch('/:rideId/messages/read', markMessagesRead);
+
+export default router;
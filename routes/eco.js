@@ -0,0 +1,9 @@
+import express from 'express';
+import { getMyCarbonSavings, getLeaderboard } from '../controllers/eco.js';
+
+const router = express.Router();
+
+router.get('/savings', getMyCarbonSavings);
+router.get('/leaderboard', getLeaderboard);
+
+export default router;
@@ -1,11 +1,14 @@
 import express from 'express';
-import { createRating, getRiderRatings, getMyRatings, checkRideRating } from '../controllers/rating.js';
+import { createRating, tipRide, getRiderRatings, getMyRatings, checkRideRating } from '../controllers/rating.js';
 
 const router = express.Router();
 
 // Create or update a rating
 router.post('/create', createRating);
 
+// Tip the rider of a completed ride
+router.post('/tip', tipRide);
+
 // Get ratings for a specific rider
 router.get('/rider/:riderId', getRiderRatings);
 
@@ -1,5 +1,23 @@
 import express from 'express';
-import { createRide, updateRideStatus, acceptRide, getMyRides } from '../controllers/ride.js';
+import {
+  createRide,
+  updateRideStatus,
+  acceptRide,
+  declineRide,
+  startRideSearch,
+  getRideSearch,
+  getMyRides,
+  getRideHistory,
+  cancelRide,
+  verifyOtp,
+  estimateFare,
+  getScheduledRides,
+  requestStop,
+  respondToStopQuote,
+  getEarnings,
+  getReceipt,
+  getRideTrace
+} from '../controllers/ride.js';
 
 const router = express.Router();
 
@@ -8,9 +26,22 @@ router.use((req, res, next) => {
   next();
 });
 
+router.get('/estimate', estimateFare);
 router.post('/create', createRide);
 router.patch('/accept/:rideId', acceptRide);
+router.patch('/decline/:rideId', declineRide);
+router.post('/search/:rideId', startRideSearch);
+router.get('/search/:rideId', getRideSearch);
 router.patch('/update/:rideId', updateRideStatus);
+router.patch('/cancel/:rideId', cancelRide);
+router.post('/verify-otp/:rideId', verifyOtp);
+router.post('/stops/:rideId', requestStop);
+router.patch('/stops/:rideId/respond', respondToStopQuote);
 router.get('/rides', getMyRides);
+router.get('/scheduled', getScheduledRides);
+router.get('/earnings', getEarnings);
+router.get('/history/:rideId', getRideHistory);
+router.get('/:rideId/receipt', getReceipt);
+router.get('/:rideId/trace', getRideTrace);
 
 export default router;
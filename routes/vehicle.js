@@ -0,0 +1,16 @@
+import express from 'express';
+import {
+  getMyVehicles,
+  registerVehicle,
+  activateMyVehicle,
+  deleteMyVehicle
+} from '../controllers/vehicle.js';
+
+const router = express.Router();
+
+router.get('/', getMyVehicles);
+router.post('/', registerVehicle);
+router.patch('/:id/activate', activateMyVehicle);
+router.delete('/:id', deleteMyVehicle);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from 'express';
+import { getMyWallet, getMyTransactions, topUpWallet } from '../controllers/wallet.js';
+
+const router = express.Router();
+
+router.get('/', getMyWallet);
+router.get('/transactions', getMyTransactions);
+router.post('/topup', topUpWallet);
+
+export default router;
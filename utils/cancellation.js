@@ -0,0 +1,80 @@
+import { BadRequestError } from "../errors/index.js";
+import { buildTransitionUpdate, transitionRide } from "./rideStatus.js";
+
+export const CANCELLATION_REASONS = [
+  "CHANGED_PLANS",
+  "WAIT_TOO_LONG",
+  "RIDER_TOO_FAR",
+  "WRONG_PICKUP",
+  "RIDER_ASKED_TO_CANCEL",
+  "CUSTOMER_UNREACHABLE",
+  "VEHICLE_ISSUE",
+  "SAFETY_CONCERN",
+  "OTHER",
+];
+
+// Fee charged when a customer cancels after a rider has accepted.
+// A short grace window after acceptance stays free of charge.
+const LATE_CANCELLATION_FEE = Number(process.env.LATE_CANCELLATION_FEE) || 0;
+const LATE_CANCELLATION_GRACE_SECONDS =
+  Number(process.env.LATE_CANCELLATION_GRACE_SECONDS) || 120;
+
+const getAcceptedAt = (ride) => {
+  const accepted = ride.statusHistory.find((entry) => entry.to === "START");
+  return accepted ? accepted.at : null;
+};
+
+export const calculateCancellationFee = (ride, actorRole, now = new Date()) => {
+  if (actorRole !== "customer" || !ride.rider) return 0;
+  if (!["START", "ARRIVED"].includes(ride.status)) return 0;
+
+  const acceptedAt = getAcceptedAt(ride);
+  if (!acceptedAt) return LATE_CANCELLATION_FEE;
+
+  const secondsSinceAccept = (now - acceptedAt) / 1000;
+  return secondsSinceAccept > LATE_CANCELLATION_GRACE_SECONDS ? LATE_CANCELLATION_FEE : 0;
+};
+
+// Cancel a ride, keeping it in the database with who cancelled, why and when.
+// A rider whose customer never showed up ends the ride the same way with
+// status NO_SHOW. The ride is not saved here.
+export const cancelRide = (
+  ride,
+  {
+    actorId = null,
+    actorRole = "system",
+    reasonCode = "OTHER",
+    note = "",
+    status = "CANCELLED",
+  } = {}
+) => {
+  if (!CANCELLATION_REASONS.includes(reasonCode)) {
+    throw new BadRequestError(`Invalid cancellation reason: ${reasonCode}`);
+  }
+
+  if (!["CANCELLED", "NO_SHOW"].includes(status)) {
+    throw new BadRequestError("A ride can only be cancelled or marked as a no-show");
+  }
+
+  const now = new Date();
+  const fee = calculateCancellationFee(ride, actorRole, now);
+
+  transitionRide(ride, status, { actorId, actorRole, reason: reasonCode });
+
+  ride.cancellation = {
+    cancelledBy: actorId,
+    actorRole,
+    reasonCode,
+    note,
+    fee,
+    at: now,
+  };
+
+  return ride;
+};
+
+// Update that marks a ride which never found a rider as expired. Apply it
+// only while the ride is still in `from`, so a rider accepting or the
+// customer cancelling at the same moment wins over the expiry.
+export const buildExpireUpdate = (from, reason = "NO_RIDERS_AVAILABLE") =>
+  buildTransitionUpdate(from, "EXPIRED", { actorRole: "system", reason });
@@ -0,0 +1,458 @@
+import mongoose from "mongoose";
+import { randomUUID } from "crypto";
+import Ride from "../models/Ride.js";
+import Rating from "../models/Rating.js";
+import RideOffer from "../models/RideOffer.js";
+import DispatchJob from "../models/DispatchJob.js";
+import { BadRequestError, ConflictError } from "../errors/index.js";
+import { buildExpireUpdate } from "./cancellation.js";
+import { syncPoolWithRide } from "./ridePool.js";
+import { findRidersWithinRadius } from "./riderIndex.js";
+import { getRiderProfiles } from "./riderProfiles.js";
+import { ACTIVE_STATUSES } from "./rideStatus.js";
+import { getScheduleMissedAt } from "./rideScheduler.js";
+
+// A ride is offered to one rider at a time. Each rider gets a short window
+// to accept or decline before the offer moves on to the next best rider.
+const DISPATCH_RADIUS = Number(process.env.DISPATCH_RADIUS_METERS) || 60000;
+const OFFER_TIMEOUT_SECONDS = Number(process.env.OFFER_TIMEOUT_SECONDS) || 15;
+// How long to wait before looking again when nobody is available
+const DISPATCH_RETRY_SECONDS = Number(process.env.DISPATCH_RETRY_SECONDS) || 10;
+// Give up and expire the ride after this long without a rider
+const DISPATCH_MAX_SECONDS = Number(process.env.DISPATCH_MAX_SECONDS) || 300;
+
+// Ranking weights; each factor is scaled to 0..1 before weighting
+const DISTANCE_WEIGHT = 0.5;
+const RATING_WEIGHT = 0.3;
+const ACCEPTANCE_WEIGHT = 0.2;
+// A rider this many meters from the pickup scores half on distance
+const DISTANCE_SCALE = 3000;
+// Assumed for riders without ratings or offer history yet
+const DEFAULT_RATING = 4;
+const DEFAULT_ACCEPTANCE_RATE = 0.8;
+// Acceptance rate looks at this many days of offers
+const ACCEPTANCE_WINDOW_DAYS = 30;
+
+// Dispatch jobs live in the database and are worked by a poller on every
+// server instance. A job is locked while an instance works on it.
+const DISPATCH_WORKER_INTERVAL = Number(process.env.DISPATCH_WORKER_INTERVAL_MS) || 2000;
+const DISPATCH_JOB_LOCK_SECONDS = 30;
+const DISPATCH_BATCH_SIZE = 20;
+
+const instanceId = randomUUID();
+let notify = () => {};
+let closeRideRoom = () => {};
+let workerRunning = false;
+
+// The part of a ride a rider needs to decide on an offer. Who the customer is
+// stays hidden until the rider has accepted.
+const toOfferPayload = (ride) => ({
+  _id: ride._id,
+  vehicle: ride.vehicle,
+  distance: ride.distance,
+  fare: ride.fare,
+  paymentMethod: ride.paymentMethod,
+  pooled: ride.pooled,
+  pickup: ride.pickup,
+  drop: ride.drop,
+  stops: ride.stops.map(({ address, latitude, longitude }) => ({ address, latitude, longitude })),
+});
+
+const getRiderStats = async (riderIds) => {
+  const ids = riderIds.map((id) => new mongoose.Types.ObjectId(id));
+  const since = new Date(Date.now() - ACCEPTANCE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const [ratings, offers] = await Promise.all([
+    Rating.aggregate([
+      { $match: { rider: { $in: ids } } },
+      { $group: { _id: "$rider", average: { $avg: "$rating" } } },
+    ]),
+    RideOffer.aggregate([
+      {
+        $match: {
+          rider: { $in: ids },
+          status: { $in: ["ACCEPTED", "DECLINED", "TIMED_OUT"] },
+          createdAt: { $gte: since },
+        },
+      },
+      {
+        $group: {
+          _id: "$rider",
+          total: { $sum: 1 },
+          accepted: { $sum: { $cond: [{ $eq: ["$status", "ACCEPTED"] }, 1, 0] } },
+        },
+      },
+    ]),
+  ]);
+
+  const stats = new Map(riderIds.map((id) => [id, {}]));
+  ratings.forEach((row) => {
+    stats.get(row._id.toString()).rating = row.average;
+  });
+  offers.forEach((row) => {
+    stats.get(row._id.toString()).acceptanceRate = row.accepted / row.total;
+  });
+  return stats;
+};
+
+// Best candidates first. Candidates come from the rider index with their
+// distance to the pickup in meters.
+export const rankRiders = async (candidates) => {
+  if (!candidates.length) return [];
+
+  const stats = await getRiderStats(candidates.map((rider) => rider.riderId));
+
+  return candidates
+    .map((rider) => {
+      const { rating = DEFAULT_RATING, acceptanceRate = DEFAULT_ACCEPTANCE_RATE } =
+        stats.get(rider.riderId);
+      const score =
+        DISTANCE_WEIGHT * (DISTANCE_SCALE / (DISTANCE_SCALE + rider.distance)) +
+        RATING_WEIGHT * (rating / 5) +
+        ACCEPTANCE_WEIGHT * acceptanceRate;
+
+      return { ...rider, rating, acceptanceRate, score: Math.round(score * 1000) / 1000 };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+// Close a job. An offer still out for it is withdrawn, since the ride may
+// have left the search some other way than through that rider accepting.
+const finishJob = async (job, status) => {
+  await DispatchJob.updateOne(
+    { _id: job._id },
+    { status, finishedAt: new Date(), lockedBy: null, lockedUntil: null }
+  );
+
+  if (!job.currentOffer) return;
+
+  const offer = await RideOffer.findOneAndUpdate(
+    { _id: job.currentOffer, status: "PENDING" },
+    { status: "WITHDRAWN", respondedAt: new Date(), reason: status },
+    { new: true }
+  );
+  if (offer) {
+    notify(offer.rider, "offerWithdrawn", { rideId: job.ride, offerId: offer._id, reason: status });
+  }
+};
+
+const rescheduleJob = (job, nextRunAt, changes = {}) =>
+  DispatchJob.updateOne(
+    { _id: job._id },
+    { ...changes, nextRunAt, lockedBy: null, lockedUntil: null }
+  );
+
+const jobStatusForRide = (ride) => {
+  if (!ride || ride.status === "CANCELLED") return "CANCELLED";
+  if (ride.status === "EXPIRED") return "EXPIRED";
+  return "MATCHED";
+};
+
+// On-demand searches give up after DISPATCH_MAX_SECONDS. Scheduled rides
+// start searching ahead of pickup time, so they keep going until the
+// schedule counts as missed.
+const getSearchDeadline = (ride, now = new Date()) => {
+  const deadline = now.getTime() + DISPATCH_MAX_SECONDS * 1000;
+  if (!ride.scheduledAt) return new Date(deadline);
+  return new Date(Math.max(deadline, getScheduleMissedAt(ride.scheduledAt).getTime()));
+};
+
+const getJobExpiresAt = (job) =>
+  job.expiresAt || new Date(job.startedAt.getTime() + DISPATCH_MAX_SECONDS * 1000);
+
+export const getDispatchStatus = async (rideId) => {
+  const job = await DispatchJob.findOne({ ride: rideId });
+  if (!job) return null;
+
+  return {
+    rideId: job.ride,
+    status: job.status,
+    offersMade: job.offersMade,
+    startedAt: job.startedAt,
+    expiresAt: getJobExpiresAt(job),
+  };
+};
+
+const expireUnmatchedRide = async (job, ride) => {
+  const expired = await Ride.findOneAndUpdate(
+    { _id: ride._id, status: "SEARCHING_FOR_RIDER" },
+    buildExpireUpdate("SEARCHING_FOR_RIDER"),
+    { new: true }
+  );
+
+  // Accepted or cancelled since it was loaded
+  if (!expired) {
+    return finishJob(job, jobStatusForRide(await Ride.findById(ride._id)));
+  }
+
+  await syncPoolWithRide(expired);
+  await finishJob(job, "EXPIRED");
+  notify(ride.customer, "rideExpired", {
+    rideId: ride._id,
+    message: `No riders found within ${Math.round(
+      (getJobExpiresAt(job) - job.startedAt) / 60000
+    )} minutes.`,
+  });
+  closeRideRoom(ride._id);
+};
+
+// Close the offer currently out for a job once its window has passed
+const timeOutOffer = async (job) => {
+  const offer = await RideOffer.findOneAndUpdate(
+    { _id: job.currentOffer, status: "PENDING", expiresAt: { $lte: new Date() } },
+    { status: "TIMED_OUT", respondedAt: new Date() },
+    { new: true }
+  );
+  if (offer) {
+    notify(offer.rider, "rideOfferExpired", { rideId: job.ride, offerId: offer._id });
+  }
+  return offer;
+};
+
+// One step of a dispatch job: wait on the open offer, or offer the ride to
+// the best rider who has not had it yet, or wait and try again if nobody
+// is free
+const runJob = async (job) => {
+  const rideId = job.ride.toString();
+  const ride = await Ride.findById(rideId);
+
+  if (!ride || ride.status !== "SEARCHING_FOR_RIDER") {
+    return finishJob(job, jobStatusForRide(ride));
+  }
+
+  if (job.currentOffer) {
+    const openOffer = await RideOffer.findOne({ _id: job.currentOffer, status: "PENDING" });
+    if (openOffer && openOffer.expiresAt > new Date()) {
+      return rescheduleJob(job, openOffer.expiresAt);
+    }
+    if (openOffer) await timeOutOffer(job);
+  }
+
+  if (Date.now() >= getJobExpiresAt(job).getTime()) {
+    return expireUnmatchedRide(job, ride);
+  }
+
+  // Riders who already had this ride, riders busy with another offer and
+  // riders already on a trip
+  const [alreadyOffered, holdingOffers, onTrip] = await Promise.all([
+    RideOffer.distinct("rider", { ride: rideId }),
+    RideOffer.distinct("rider", { status: "PENDING", expiresAt: { $gt: new Date() } }),
+    Ride.distinct("rider", { status: { $in: ACTIVE_STATUSES } }),
+  ]);
+  const excluded = new Set(
+    [...alreadyOffered, ...holdingOffers, ...onTrip].map((id) => id.toString())
+  );
+
+  const nearby = findRidersWithinRadius(ride.pickup, DISPATCH_RADIUS).filter(
+    (rider) => !excluded.has(rider.riderId)
+  );
+
+  // Only riders whose active vehicle is the type the customer booked
+  const profiles = await getRiderProfiles(nearby.map((rider) => rider.riderId));
+  const candidates = nearby.filter(
+    (rider) => profiles.get(rider.riderId)?.vehicle?.type === ride.vehicle
+  );
+  const [best] = await rankRiders(candidates);
+
+  if (!best) {
+    return rescheduleJob(job, new Date(Date.now() + DISPATCH_RETRY_SECONDS * 1000), {
+      currentOffer: null,
+    });
+  }
+
+  const offer = await RideOffer.create({
+    ride: ride._id,
+    rider: best.riderId,
+    attempt: alreadyOffered.length + 1,
+    score: best.score,
+    distance: best.distance,
+    expiresAt: new Date(Date.now() + OFFER_TIMEOUT_SECONDS * 1000),
+  });
+
+  await rescheduleJob(job, offer.expiresAt, {
+    currentOffer: offer._id,
+    offersMade: offer.attempt,
+    lastError: null,
+  });
+
+  notify(best.riderId, "rideOffer", {
+    offerId: offer._id,
+    expiresAt: offer.expiresAt,
+    distanceToPickup: best.distance,
+    ride: toOfferPayload(ride),
+  });
+  notify(ride.customer, "riderSearchUpdate", {
+    rideId,
+    status: "ACTIVE",
+    offersMade: offer.attempt,
+  });
+};
+
+// Lock and run every job that is due. A job locked by an instance that
+// crashed becomes due again once the lock runs out.
+export const runDispatchWorker = async () => {
+  if (workerRunning) return;
+  workerRunning = true;
+
+  try {
+    for (let i = 0; i < DISPATCH_BATCH_SIZE; i++) {
+      const now = new Date();
+      const job = await DispatchJob.findOneAndUpdate(
+        {
+          status: "ACTIVE",
+          nextRunAt: { $lte: now },
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+        },
+        {
+          lockedBy: instanceId,
+          lockedUntil: new Date(now.getTime() + DISPATCH_JOB_LOCK_SECONDS * 1000),
+        },
+        { new: true, sort: { nextRunAt: 1 } }
+      );
+      if (!job) break;
+
+      try {
+        await runJob(job);
+      } catch (error) {
+        console.error(`Error dispatching ride ${job.ride}:`, error);
+        await rescheduleJob(job, new Date(Date.now() + DISPATCH_RETRY_SECONDS * 1000), {
+          lastError: error.message,
+        });
+      }
+    }
+  } catch (error) {
+    console.error("Error running dispatch worker:", error);
+  } finally {
+    workerRunning = false;
+  }
+};
+
+// Start the search for a rider. The job is stored straight away and the
+// worker picks it up, so it no longer depends on the customer's connection.
+export const dispatchRide = async (rideId) => {
+  const ride = await Ride.findById(rideId).select("customer status scheduledAt");
+  if (!ride || ride.status !== "SEARCHING_FOR_RIDER") return null;
+
+  const job = await DispatchJob.findOneAndUpdate(
+    { ride: ride._id },
+    {
+      $setOnInsert: {
+        customer: ride.customer,
+        status: "ACTIVE",
+        expiresAt: getSearchDeadline(ride),
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  runDispatchWorker();
+  return job;
+};
+
+// Stop dispatching a ride, withdrawing any offer still waiting for an answer
+export const stopDispatch = async (rideId, status = "CANCELLED") => {
+  await DispatchJob.updateOne(
+    { ride: rideId, status: "ACTIVE" },
+    { status, finishedAt: new Date(), lockedBy: null, lockedUntil: null }
+  );
+
+  const pending = await RideOffer.find({ ride: rideId, status: "PENDING" });
+  await Promise.all(
+    pending.map(async (offer) => {
+      offer.status = "WITHDRAWN";
+      offer.respondedAt = new Date();
+      await offer.save();
+      notify(offer.rider, "offerWithdrawn", { rideId, offerId: offer._id });
+    })
+  );
+};
+
+export const declineRideOffer = async (rideId, riderId, reason = "") => {
+  const offer = await RideOffer.findOneAndUpdate(
+    { ride: rideId, rider: riderId, status: "PENDING" },
+    { status: "DECLINED", respondedAt: new Date(), reason },
+    { new: true }
+  );
+
+  if (!offer) {
+    throw new BadRequestError("You have no open offer for this ride");
+  }
+
+  // Move on to the next rider without waiting for the offer window
+  await DispatchJob.updateOne({ ride: rideId, status: "ACTIVE" }, { nextRunAt: new Date() });
+  runDispatchWorker();
+  return offer;
+};
+
+// Take the rider's open offer for a ride, in one conditional update so the
+// offer cannot be accepted twice or after it closed. Rides that never went
+// through dispatch can be taken by anyone; otherwise only the rider holding
+// the open offer can take it.
+export const claimRideOffer = async (rideId, riderId) => {
+  const offer = await RideOffer.findOneAndUpdate(
+    { ride: rideId, rider: riderId, status: "PENDING", expiresAt: { $gt: new Date() } },
+    { status: "ACCEPTED", respondedAt: new Date() },
+    { new: true }
+  );
+  if (offer) return offer;
+
+  const [dispatched, offeredToMe] = await Promise.all([
+    DispatchJob.exists({ ride: rideId }),
+    RideOffer.exists({ ride: rideId, rider: riderId }),
+  ]);
+
+  if (offeredToMe) {
+    throw new BadRequestError("Your offer for this ride is no longer open");
+  }
+  if (dispatched) {
+    throw new ConflictError("This ride is being offered to another rider");
+  }
+  return null;
+};
+
+// Give back an offer that was claimed for a ride someone else got first
+export const releaseRideOffer = (offer) =>
+  RideOffer.updateOne(
+    { _id: offer._id, status: "ACCEPTED" },
+    { status: "WITHDRAWN", reason: "ALREADY_TAKEN" }
+  );
+
+// Once a ride is taken, close its dispatch and let every other rider who was
+// offered it know it is gone
+export const completeDispatch = async (rideId, riderId) => {
+  await DispatchJob.updateOne(
+    { ride: rideId, status: "ACTIVE" },
+    { status: "MATCHED", finishedAt: new Date(), lockedBy: null, lockedUntil: null }
+  );
+
+  await RideOffer.updateMany(
+    { ride: rideId, status: "PENDING" },
+    { status: "WITHDRAWN", respondedAt: new Date(), reason: "ALREADY_TAKEN" }
+  );
+
+  const otherRiders = await RideOffer.distinct("rider", { ride: rideId, rider: { $ne: riderId } });
+  otherRiders.forEach((otherRider) =>
+    notify(otherRider, "offerWithdrawn", { rideId, reason: "ALREADY_TAKEN" })
+  );
+};
+
+// Searching rides without a job (started before jobs were stored, or whose
+// job was never written) get one, so no search is lost over a restart
+const resumeSearches = async () => {
+  const jobRides = await DispatchJob.distinct("ride");
+  const orphaned = await Ride.find({
+    status: "SEARCHING_FOR_RIDER",
+    _id: { $nin: jobRides },
+  }).select("_id");
+
+  await Promise.all(orphaned.map((ride) => dispatchRide(ride._id)));
+};
+
+// notify(userId, event, payload) reaches every socket a user has open
+export const startDispatchEngine = ({ notify: notifyUser, closeRideRoom: closeRoom }) => {
+  notify = notifyUser;
+  if (closeRoom) closeRideRoom = closeRoom;
+
+  resumeSearches().catch((error) => console.error("Error resuming ride searches:", error));
+  setInterval(runDispatchWorker, DISPATCH_WORKER_INTERVAL);
+};
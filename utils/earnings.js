@@ -0,0 +1,143 @@
+import mongoose from "mongoose";
+import Ride from "../models/Ride.js";
+import { BadRequestError } from "../errors/index.js";
+import { roundAmount } from "./ledger.js";
+
+// Share of each fare kept by the platform, as a percentage
+export const PLATFORM_COMMISSION_PERCENT =
+  Number(process.env.PLATFORM_COMMISSION_PERCENT) || 10;
+const EARNINGS_TIMEZONE = process.env.EARNINGS_TIMEZONE || "UTC";
+
+const PERIOD_FORMATS = {
+  daily: "%Y-%m-%d",
+  weekly: "%G-W%V",
+  monthly: "%Y-%m",
+};
+
+export const calculateCommission = (fare) =>
+  Math.round(fare * PLATFORM_COMMISSION_PERCENT) / 100;
+
+export const parseDateRange = ({ from, to }) => {
+  const range = {};
+
+  if (from) {
+    range.$gte = new Date(from);
+    if (Number.isNaN(range.$gte.getTime())) throw new BadRequestError("from must be a valid date");
+  }
+
+  if (to) {
+    range.$lte = new Date(to);
+    if (Number.isNaN(range.$lte.getTime())) throw new BadRequestError("to must be a valid date");
+  }
+
+  return range;
+};
+
+// Fares whose charge failed were never collected, so they earn nothing
+const fareCollected = { $ne: ["$paymentStatus", "FAILED"] };
+
+// Totals shared by the earnings breakdown and payout batches. Commission is
+// read from the ride, where it was fixed at completion.
+const totalsStage = {
+  rides: { $sum: 1 },
+  grossFare: { $sum: { $cond: [fareCollected, "$fare", 0] } },
+  commission: {
+    $sum: { $cond: [fareCollected, { $ifNull: ["$commission", 0] }, 0] },
+  },
+  tips: { $sum: { $ifNull: ["$tip.amount", 0] } },
+  cashCollected: {
+    $sum: {
+      $add: [
+        { $cond: [{ $eq: ["$paymentMethod", "CASH"] }, "$fare", 0] },
+        { $cond: [{ $eq: ["$tip.paymentMethod", "CASH"] }, "$tip.amount", 0] },
+      ],
+    },
+  },
+  cashCommission: {
+    $sum: {
+      $cond: [{ $eq: ["$paymentMethod", "CASH"] }, { $ifNull: ["$commission", 0] }, 0],
+    },
+  },
+};
+
+const withNet = (totals) => {
+  const netEarnings = totals.grossFare - totals.commission + totals.tips;
+  return {
+    rides: totals.rides,
+    grossFare: roundAmount(totals.grossFare),
+    commission: roundAmount(totals.commission),
+    tips: roundAmount(totals.tips),
+    netEarnings: roundAmount(netEarnings),
+    cashCollected: roundAmount(totals.cashCollected),
+    // Commission on cash rides, which the rider holds and owes the platform
+    cashCommission: roundAmount(totals.cashCommission),
+    // What the platform still owes the rider once cash already in hand is counted
+    amountDue: roundAmount(netEarnings - totals.cashCollected),
+  };
+};
+
+const completedRidesMatch = (riderId, range, extra = {}) => {
+  const match = {
+    rider: new mongoose.Types.ObjectId(riderId),
+    status: "COMPLETED",
+    ...extra,
+  };
+  if (range.$gte || range.$lte) match.completedAt = range;
+  return match;
+};
+
+export const getEarningsBreakdown = async (riderId, { period = "daily", from, to } = {}) => {
+  const format = PERIOD_FORMATS[period];
+  if (!format) {
+    throw new BadRequestError("Period must be daily, weekly or monthly");
+  }
+
+  const range = parseDateRange({ from, to });
+
+  const buckets = await Ride.aggregate([
+    { $match: completedRidesMatch(riderId, range) },
+    {
+      $group: {
+        _id: {
+          $dateToString: { format, date: "$completedAt", timezone: EARNINGS_TIMEZONE },
+        },
+        ...totalsStage,
+      },
+    },
+    { $sort: { _id: -1 } },
+  ]);
+
+  const breakdown = buckets.map((bucket) => ({ period: bucket._id, ...withNet(bucket) }));
+  const totals = withNet(
+    breakdown.reduce(
+      (sum, bucket) => ({
+        rides: sum.rides + bucket.rides,
+        grossFare: sum.grossFare + bucket.grossFare,
+        commission: sum.commission + bucket.commission,
+        tips: sum.tips + bucket.tips,
+        cashCollected: sum.cashCollected + bucket.cashCollected,
+        cashCommission: sum.cashCommission + bucket.cashCommission,
+      }),
+      { rides: 0, grossFare: 0, commission: 0, tips: 0, cashCollected: 0, cashCommission: 0 }
+    )
+  );
+
+  return { period, commissionPercent: PLATFORM_COMMISSION_PERCENT, totals, breakdown };
+};
+
+// Completed rides of a rider in a date range that no payout batch has claimed
+// yet. Rides with a failed charge wait until the payment goes through.
+export const summarizeUnbatchedRides = async (riderId, range) => {
+  const match = completedRidesMatch(riderId, range, {
+    payoutBatch: null,
+    paymentStatus: { $ne: "FAILED" },
+  });
+
+  const [totals] = await Ride.aggregate([
+    { $match: match },
+    { $group: { _id: null, rideIds: { $push: "$_id" }, ...totalsStage } },
+  ]);
+
+  if (!totals) return null;
+  return { rideIds: totals.rideIds, ...withNet(totals) };
+};
@@ -0,0 +1,151 @@
+import mongoose from "mongoose";
+import Ride from "../models/Ride.js";
+import { BadRequestError } from "../errors/index.js";
+
+// Tailpipe (or grid, for electric) emissions per vehicle kilometre, in grams of CO2
+export const EMISSION_FACTORS = {
+  bike: { fuel: 72, electric: 22 },
+  auto: { fuel: 95, electric: 30 },
+  cabEconomy: { fuel: 130, electric: 55 },
+  cabPremium: { fuel: 170, electric: 65 },
+};
+
+// Baseline: the customer driving the same distance alone in a private car
+export const SOLO_CAR_FACTOR = Number(process.env.SOLO_CAR_EMISSION_FACTOR) || 170;
+
+const toKg = (grams) => Math.round(grams) / 1000;
+
+// The distance the trip really covered when the GPS trace measured it,
+// otherwise the quoted route
+const getTravelledDistance = (ride) =>
+  ride.fareAdjustment?.actualDistance ?? ride.distance;
+
+// CO2 for one customer's trip. On a shared ride the vehicle's emissions are
+// split between the passengers on board.
+export const calculateRideCarbon = (ride, { electric = false, passengers = 1 } = {}) => {
+  const factors = EMISSION_FACTORS[ride.vehicle] || EMISSION_FACTORS.auto;
+  const factor = electric ? factors.electric : factors.fuel;
+  const distance = getTravelledDistance(ride);
+
+  const emissions = (distance * factor) / Math.max(passengers, 1);
+  const baseline = distance * SOLO_CAR_FACTOR;
+
+  return {
+    distance,
+    factor,
+    electric,
+    passengers,
+    emissionsKg: toKg(emissions),
+    baselineKg: toKg(baseline),
+    savedKg: toKg(Math.max(0, baseline - emissions)),
+  };
+};
+
+const carbonTotals = {
+  rides: { $sum: 1 },
+  distance: { $sum: { $ifNull: ["$carbon.distance", "$distance"] } },
+  emissionsKg: { $sum: "$carbon.emissionsKg" },
+  savedKg: { $sum: "$carbon.savedKg" },
+};
+
+const startOfMonth = (date = new Date()) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+const roundTotals = (totals) => ({
+  rides: totals?.rides || 0,
+  distance: Math.round((totals?.distance || 0) * 100) / 100,
+  emissionsKg: Math.round((totals?.emissionsKg || 0) * 1000) / 1000,
+  savedKg: Math.round((totals?.savedKg || 0) * 1000) / 1000,
+});
+
+// Lifetime and current month CO2 totals for a customer, plus a month by
+// month history
+export const getCarbonSummary = async (userId) => {
+  const match = {
+    customer: new mongoose.Types.ObjectId(userId),
+    status: "COMPLETED",
+    carbon: { $ne: null },
+  };
+
+  const [result] = await Ride.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        lifetime: [{ $group: { _id: null, ...carbonTotals } }],
+        thisMonth: [
+          { $match: { completedAt: { $gte: startOfMonth() } } },
+          { $group: { _id: null, ...carbonTotals } },
+        ],
+        monthly: [
+          {
+            $group: {
+              _id: { $dateToString: { format: "%Y-%m", date: "$completedAt" } },
+              ...carbonTotals,
+            },
+          },
+          { $sort: { _id: -1 } },
+          { $limit: 12 },
+        ],
+      },
+    },
+  ]);
+
+  return {
+    lifetime: roundTotals(result.lifetime[0]),
+    thisMonth: roundTotals(result.thisMonth[0]),
+    monthly: result.monthly.map((month) => ({ month: month._id, ...roundTotals(month) })),
+  };
+};
+
+const displayName = (user) =>
+  [user.firstName, user.lastName ? `${user.lastName[0]}.` : null].filter(Boolean).join(" ") ||
+  "EcoRider";
+
+// Rank customers or schools by CO2 saved compared with driving alone
+export const getCarbonLeaderboard = async ({ scope = "users", period = "all", limit = 10 } = {}) => {
+  if (!["users", "schools"].includes(scope)) {
+    throw new BadRequestError("Scope must be users or schools");
+  }
+  if (!["all", "month"].includes(period)) {
+    throw new BadRequestError("Period must be all or month");
+  }
+
+  const size = Math.min(Math.max(Number(limit) || 10, 1), 100);
+  const match = { status: "COMPLETED", carbon: { $ne: null } };
+  if (period === "month") match.completedAt = { $gte: startOfMonth() };
+
+  const pipeline = [
+    { $match: match },
+    { $group: { _id: "$customer", ...carbonTotals } },
+    { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "user" } },
+    { $unwind: "$user" },
+  ];
+
+  if (scope === "schools") {
+    pipeline.push(
+      { $match: { "user.schoolId": { $nin: [null, ""] } } },
+      {
+        $group: {
+          _id: "$user.schoolId",
+          members: { $sum: 1 },
+          rides: { $sum: "$rides" },
+          distance: { $sum: "$distance" },
+          emissionsKg: { $sum: "$emissionsKg" },
+          savedKg: { $sum: "$savedKg" },
+        },
+      }
+    );
+  }
+
+  pipeline.push({ $sort: { savedKg: -1 } }, { $limit: size });
+
+  const rows = await Ride.aggregate(pipeline);
+
+  return rows.map((row, index) => ({
+    rank: index + 1,
+    ...(scope === "users"
+      ? { userId: row._id, name: displayName(row.user), schoolId: row.user.schoolId || null }
+      : { schoolId: row._id, members: row.members }),
+    ...roundTotals(row),
+  }));
+};
@@ -0,0 +1,24 @@
+import FareConfig from "../models/FareConfig.js";
+import { DEFAULT_RATE_STRUCTURE } from "./mapUtils.js";
+
+// Version 0 stands for the built-in rates, used until an admin publishes a rate card
+export const DEFAULT_RATE_CARD = {
+  _id: null,
+  version: 0,
+  effectiveFrom: new Date(0),
+  rates: DEFAULT_RATE_STRUCTURE,
+};
+
+// The rate card in force at a given time is the newest one already effective
+export const getActiveRateCard = async (at = new Date()) => {
+  const rateCard = await FareConfig.findOne({ effectiveFrom: { $lte: at } })
+    .sort({ effectiveFrom: -1, version: -1 })
+    .lean();
+
+  return rateCard || DEFAULT_RATE_CARD;
+};
+
+export const getRateCardByVersion = async (version) => {
+  if (Number(version) === 0) return DEFAULT_RATE_CARD;
+  return (await FareConfig.findOne({ version }).lean()) || null;
+};
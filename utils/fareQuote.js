@@ -0,0 +1,79 @@
+import jwt from "jsonwebtoken";
+import { BadRequestError } from "../errors/index.js";
+
+const QUOTE_TOKEN_EXPIRY = process.env.QUOTE_TOKEN_EXPIRY || "5m";
+
+// Quotes are signed with their own key, never the one used for logins
+export const assertQuoteSecret = () => {
+  if (!process.env.QUOTE_TOKEN_SECRET) {
+    throw new Error("QUOTE_TOKEN_SECRET must be set to sign fare quotes");
+  }
+};
+
+const getQuoteSecret = () => {
+  assertQuoteSecret();
+  return process.env.QUOTE_TOKEN_SECRET;
+};
+
+// Coordinates are compared with a small tolerance so GPS rounding on the
+// client does not invalidate an otherwise identical quote
+const COORDINATE_TOLERANCE = 0.0005;
+
+const sameCoordinates = (a, b) =>
+  Math.abs(Number(a.latitude) - Number(b.latitude)) <= COORDINATE_TOLERANCE &&
+  Math.abs(Number(a.longitude) - Number(b.longitude)) <= COORDINATE_TOLERANCE;
+
+export const createQuoteToken = ({
+  customerId,
+  pickup,
+  drop,
+  stops = [],
+  distance,
+  fares,
+  rateCard,
+  surgeMultiplier,
+}) =>
+  jwt.sign(
+    {
+      customer: customerId,
+      pickup: { latitude: pickup.latitude, longitude: pickup.longitude },
+      drop: { latitude: drop.latitude, longitude: drop.longitude },
+      stops: stops.map(({ latitude, longitude }) => ({ latitude, longitude })),
+      distance,
+      fares,
+      fareConfig: rateCard._id,
+      fareVersion: rateCard.version,
+      surgeMultiplier,
+    },
+    getQuoteSecret(),
+    { expiresIn: QUOTE_TOKEN_EXPIRY }
+  );
+
+// Decode a quote token and make sure it was issued to this customer for the
+// same trip. Returns the quote payload.
+export const verifyQuoteToken = (token, { customerId, pickup, drop, stops = [] }) => {
+  let quote;
+  try {
+    quote = jwt.verify(token, getQuoteSecret());
+  } catch (error) {
+    throw new BadRequestError("Fare quote has expired, please request a new estimate");
+  }
+
+  if (quote.customer !== customerId) {
+    throw new BadRequestError("Fare quote was issued to a different customer");
+  }
+
+  if (!sameCoordinates(quote.pickup, pickup) || !sameCoordinates(quote.drop, drop)) {
+    throw new BadRequestError("Fare quote does not match the pickup and drop locations");
+  }
+
+  const quotedStops = quote.stops || [];
+  if (
+    quotedStops.length !== stops.length ||
+    quotedStops.some((stop, index) => !sameCoordinates(stop, stops[index]))
+  ) {
+    throw new BadRequestError("Fare quote does not match the stops on this ride");
+  }
+
+  return quote;
+};
@@ -0,0 +1,118 @@
+import TripTrace from "../models/TripTrace.js";
+import { calculateFare } from "./mapUtils.js";
+import { getRateCardByVersion } from "./fareConfig.js";
+import { roundAmount } from "./ledger.js";
+import { calculateTraceDistance } from "./tripTrace.js";
+
+// Waiting after the rider has arrived is charged per started minute once the
+// free minutes are used up
+const FARE_WAITING_RATE_PER_MINUTE = Number(process.env.FARE_WAITING_RATE_PER_MINUTE) || 2;
+const FARE_WAITING_FREE_MINUTES = Number(process.env.FARE_WAITING_FREE_MINUTES) || 3;
+// How far, in percent of the quote, the final fare may move either way
+const FINAL_FARE_MAX_ADJUSTMENT_PERCENT =
+  Number(process.env.FINAL_FARE_MAX_ADJUSTMENT_PERCENT) || 25;
+
+// Ignore traced distance differences smaller than this, in km
+const DISTANCE_TOLERANCE = 0.05;
+
+const getStatusTime = (ride, status) =>
+  ride.statusHistory.find((entry) => entry.to === status)?.at || null;
+
+export const calculateWaitingMinutes = (ride) => {
+  const arrivedAt = getStatusTime(ride, "ARRIVED");
+  const startedAt = getStatusTime(ride, "IN_PROGRESS");
+  if (!arrivedAt || !startedAt) return 0;
+
+  return Math.max(0, (startedAt - arrivedAt) / 60000);
+};
+
+export const calculateWaitingCharge = (waitingMinutes) =>
+  Math.max(0, Math.ceil(waitingMinutes - FARE_WAITING_FREE_MINUTES)) *
+  FARE_WAITING_RATE_PER_MINUTE;
+
+// Work out what a completed ride should cost from the distance the trace
+// shows was driven and the time spent waiting for the customer. Only the
+// difference from the quote is applied, so anything already folded into the
+// quote (stops, surge) carries over, and the result is capped around it.
+export const calculateFinalFare = async (ride) => {
+  const quotedFare = ride.fare;
+  const result = {
+    quotedFare,
+    finalFare: quotedFare,
+    adjustment: {
+      reasons: [],
+      quotedDistance: ride.distance,
+      actualDistance: null,
+      waitingMinutes: 0,
+      waitingCharge: 0,
+      uncappedFare: quotedFare,
+      capped: false,
+    },
+  };
+
+  // Shared fares are split across the pool and are not re-priced per passenger
+  if (ride.pooled) {
+    result.adjustment.reasons.push("POOLED_FARE");
+    return result;
+  }
+
+  const rateCard = await getRateCardByVersion(ride.fareVersion);
+  if (!rateCard?.rates?.[ride.vehicle]) {
+    result.adjustment.reasons.push("NO_RATE_CARD");
+    return result;
+  }
+
+  const trace = await TripTrace.findOne({ ride: ride._id });
+  const tripPoints = (trace?.points || []).filter((point) => point.status === "IN_PROGRESS");
+
+  let distanceDifference = 0;
+  if (tripPoints.length >= 2) {
+    const actualDistance = calculateTraceDistance(tripPoints);
+    result.adjustment.actualDistance = Math.round(actualDistance * 1000) / 1000;
+
+    if (Math.abs(actualDistance - ride.distance) >= DISTANCE_TOLERANCE) {
+      const fareFor = (distance) =>
+        calculateFare(distance, rateCard.rates, ride.surgeMultiplier || 1)[ride.vehicle];
+      distanceDifference = fareFor(actualDistance) - fareFor(ride.distance);
+      result.adjustment.reasons.push("ACTUAL_DISTANCE");
+    }
+  } else {
+    result.adjustment.reasons.push("NO_TRACE");
+  }
+
+  const waitingMinutes = calculateWaitingMinutes(ride);
+  const waitingCharge = calculateWaitingCharge(waitingMinutes);
+  result.adjustment.waitingMinutes = Math.round(waitingMinutes * 10) / 10;
+  result.adjustment.waitingCharge = roundAmount(waitingCharge);
+  if (waitingCharge > 0) {
+    result.adjustment.reasons.push("WAITING_TIME");
+  }
+
+  const uncappedFare = roundAmount(quotedFare + distanceDifference + waitingCharge);
+  const maxChange = (quotedFare * FINAL_FARE_MAX_ADJUSTMENT_PERCENT) / 100;
+  const finalFare = roundAmount(
+    Math.min(quotedFare + maxChange, Math.max(quotedFare - maxChange, uncappedFare))
+  );
+
+  result.adjustment.uncappedFare = uncappedFare;
+  if (finalFare !== uncappedFare) {
+    result.adjustment.capped = true;
+    result.adjustment.reasons.push("CAPPED");
+  }
+
+  result.finalFare = finalFare;
+  return result;
+};
+
+// Replace the quoted fare with the final one before payment is settled.
+// The ride is not saved here.
+export const applyFinalFare = async (ride) => {
+  const { quotedFare, finalFare, adjustment } = await calculateFinalFare(ride);
+
+  ride.quotedFare = quotedFare;
+  ride.finalFare = finalFare;
+  ride.fareAdjustment = adjustment;
+  ride.fare = finalFare;
+
+  return ride;
+};
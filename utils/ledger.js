@@ -0,0 +1,127 @@
+import Transaction from "../models/Transaction.js";
+import Wallet from "../models/Wallet.js";
+import { BadRequestError } from "../errors/index.js";
+
+// Money entering or leaving the platform through the payment provider
+export const GATEWAY_ACCOUNT = "external:gateway";
+// Platform revenue and manual corrections
+export const PLATFORM_ACCOUNT = "platform:revenue";
+
+const WALLET_PREFIX = "wallet:";
+
+export const walletAccount = (userId) => `${WALLET_PREFIX}${userId}`;
+
+const walletUserId = (account) =>
+  account.startsWith(WALLET_PREFIX) ? account.slice(WALLET_PREFIX.length) : null;
+
+export const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+export const getWallet = async (userId) =>
+  Wallet.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId } },
+    { upsert: true, new: true }
+  );
+
+// Net effect of a posting on each wallet. Wallets are what the platform owes
+// its users, so credits raise the balance and debits lower it.
+const walletChanges = (entries) => {
+  const changes = new Map();
+  entries.forEach(({ account, direction, amount }) => {
+    const userId = walletUserId(account);
+    if (!userId) return;
+    const change = direction === "CREDIT" ? amount : -amount;
+    changes.set(userId, roundAmount((changes.get(userId) || 0) + change));
+  });
+  return changes;
+};
+
+const applyWalletChange = (userId, change) => {
+  const filter = { user: userId };
+  // Never let a wallet go below zero
+  if (change < 0) filter.balance = { $gte: -change };
+
+  return Wallet.findOneAndUpdate(
+    filter,
+    { $inc: { balance: change } },
+    { new: true, upsert: change >= 0 }
+  );
+};
+
+// Record a balanced transaction and move the wallet balances it touches.
+// Repeating a call with the same idempotency key returns the first result.
+export const postTransaction = async ({
+  type,
+  entries,
+  ride = null,
+  description = "",
+  reference = null,
+  idempotencyKey,
+  createdBy = null,
+}) => {
+  if (idempotencyKey) {
+    const existing = await Transaction.findOne({ idempotencyKey });
+    if (existing) return existing;
+  }
+
+  const roundedEntries = entries.map((entry) => ({ ...entry, amount: roundAmount(entry.amount) }));
+  const changes = walletChanges(roundedEntries);
+
+  const transaction = new Transaction({
+    type,
+    entries: roundedEntries,
+    amount: roundedEntries
+      .filter((entry) => entry.direction === "DEBIT")
+      .reduce((sum, entry) => sum + entry.amount, 0),
+    ride,
+    users: Array.from(changes.keys()),
+    description,
+    reference,
+    idempotencyKey,
+    createdBy,
+  });
+
+  await transaction.validate();
+
+  const applied = [];
+  try {
+    for (const [userId, change] of changes) {
+      const wallet = await applyWalletChange(userId, change);
+      if (!wallet) {
+        throw new BadRequestError("Insufficient wallet balance");
+      }
+      applied.push([userId, change]);
+    }
+
+    await transaction.save();
+  } catch (error) {
+    // Undo balance changes already made so the ledger and wallets agree
+    for (const [userId, change] of applied) {
+      await Wallet.updateOne({ user: userId }, { $inc: { balance: -change } });
+    }
+
+    // A concurrent call with the same key saved first; its result stands
+    if (idempotencyKey && error.code === 11000 && error.keyPattern?.idempotencyKey) {
+      const existing = await Transaction.findOne({ idempotencyKey });
+      if (existing) return existing;
+    }
+    throw error;
+  }
+
+  return transaction;
+};
+
+export const transfer = ({ type, from, to, amount, ...details }) => {
+  if (!(amount > 0)) {
+    throw new BadRequestError("Amount must be greater than zero");
+  }
+
+  return postTransaction({
+    type,
+    entries: [
+      { account: from, direction: "DEBIT", amount },
+      { account: to, direction: "CREDIT", amount },
+    ],
+    ...details,
+  });
+};
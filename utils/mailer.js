@@ -0,0 +1,102 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+const MAIL_FROM = process.env.MAIL_FROM || "EcoRide <no-reply@ecoride.app>";
+
+// Every transport exposes send({ from, to, subject, html, text, attachments }).
+// Attachments are { filename, content, contentType } with Buffer or string content.
+
+// Prints a short summary of each message. Handy when running locally.
+export class ConsoleMailTransport {
+  async send(message) {
+    console.log(
+      `[mail] to=${message.to} subject="${message.subject}" attachments=${
+        (message.attachments || []).map((a) => a.filename).join(",") || "none"
+      }`
+    );
+    return { id: `console_${Date.now()}` };
+  }
+}
+
+// Writes each message and its attachments to a folder so they can be opened
+// in a browser or PDF viewer during development
+export class FileMailTransport {
+  constructor(directory = process.env.MAIL_OUTPUT_DIR || "tmp/mail") {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    const id = `${Date.now()}_${message.to.replace(/[^a-zA-Z0-9]/g, "_")}`;
+    const folder = path.join(this.directory, id);
+    await fs.mkdir(folder, { recursive: true });
+
+    await fs.writeFile(
+      path.join(folder, "message.json"),
+      JSON.stringify(
+        { from: message.from, to: message.to, subject: message.subject, text: message.text },
+        null,
+        2
+      )
+    );
+    if (message.html) {
+      await fs.writeFile(path.join(folder, "message.html"), message.html);
+    }
+    for (const attachment of message.attachments || []) {
+      await fs.writeFile(path.join(folder, attachment.filename), attachment.content);
+    }
+
+    return { id, path: folder };
+  }
+}
+
+export class SmtpMailTransport {
+  constructor() {
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+const transports = {
+  console: () => new ConsoleMailTransport(),
+  file: () => new FileMailTransport(),
+  smtp: () => new SmtpMailTransport(),
+};
+
+let transport = null;
+
+export const registerMailTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+export const getMailTransport = () => {
+  if (transport) return transport;
+
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  transport = factory();
+  return transport;
+};
+
+// Swap the transport at runtime, e.g. for tests
+export const setMailTransport = (instance) => {
+  transport = instance;
+};
+
+export const sendMail = (message) =>
+  getMailTransport().send({ from: MAIL_FROM, ...message });
@@ -12,43 +12,60 @@ export const calculateDistance = (lat1, lon1, lat2, lon2) => {
   return R * c;
 };
 
-export const calculateFare = (distance) => {
-  const rateStructure = {
-    bike: { baseFare: 10, perKmRate: 5, minimumFare: 25 },
-    auto: { baseFare: 15, perKmRate: 7, minimumFare: 30 },
-    cabEconomy: { baseFare: 20, perKmRate: 10, minimumFare: 50 },
-    cabPremium: { baseFare: 30, perKmRate: 15, minimumFare: 70 },
-  };
+// Total distance of a route visiting the points in order
+export const calculateRouteDistance = (points) =>
+  points.slice(1).reduce((total, point, index) => {
+    const previous = points[index];
+    return (
+      total +
+      calculateDistance(
+        previous.latitude,
+        previous.longitude,
+        point.latitude,
+        point.longitude
+      )
+    );
+  }, 0);
+
+// Fallback rates used when no rate card has been published by an admin
+export const DEFAULT_RATE_STRUCTURE = {
+  bike: { baseFare: 10, perKmRate: 5, minimumFare: 25 },
+  auto: { baseFare: 15, perKmRate: 7, minimumFare: 30 },
+  cabEconomy: { baseFare: 20, perKmRate: 10, minimumFare: 50 },
+  cabPremium: { baseFare: 30, perKmRate: 15, minimumFare: 70 },
+};
 
-  const fareCalculation = (baseFare, perKmRate, minimumFare) => {
+export const calculateFare = (
+  distance,
+  rateStructure = DEFAULT_RATE_STRUCTURE,
+  surgeMultiplier = 1
+) => {
+  const fareCalculation = ({ baseFare, perKmRate, minimumFare }) => {
     const calculatedFare = baseFare + distance * perKmRate;
-    return Math.max(calculatedFare, minimumFare);
+    return Math.max(calculatedFare, minimumFare) * surgeMultiplier;
   };
 
   return {
-    bike: fareCalculation(
-      rateStructure.bike.baseFare,
-      rateStructure.bike.perKmRate,
-      rateStructure.bike.minimumFare
-    ),
-    auto: fareCalculation(
-      rateStructure.auto.baseFare,
-      rateStructure.auto.perKmRate,
-      rateStructure.auto.minimumFare
-    ),
-    cabEconomy: fareCalculation(
-      rateStructure.cabEconomy.baseFare,
-      rateStructure.cabEconomy.perKmRate,
-      rateStructure.cabEconomy.minimumFare
-    ),
-    cabPremium: fareCalculation(
-      rateStructure.cabPremium.baseFare,
-      rateStructure.cabPremium.perKmRate,
-      rateStructure.cabPremium.minimumFare
-    ),
+    bike: fareCalculation(rateStructure.bike),
+    auto: fareCalculation(rateStructure.auto),
+    cabEconomy: fareCalculation(rateStructure.cabEconomy),
+    cabPremium: fareCalculation(rateStructure.cabPremium),
   };
 };
 
 export const generateOTP = () => {
   return Math.floor(1000 + Math.random() * 9000).toString();
 };
+
+// Average city speeds used for trip duration estimates, in km/h
+const averageSpeeds = {
+  bike: 25,
+  auto: 20,
+  cabEconomy: 22,
+  cabPremium: 22,
+};
+
+export const estimateDuration = (distance, vehicle) => {
+  const speed = averageSpeeds[vehicle] || 20;
+  return Math.ceil((distance / speed) * 60);
+};
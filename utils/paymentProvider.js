@@ -0,0 +1,67 @@
+import crypto from "crypto";
+
+// Every provider exposes the same two calls:
+//   charge({ amount, currency, userId, source }) -> { reference, status }
+//   payout({ amount, currency, userId, destination }) -> { reference, status }
+// status is "succeeded" or "failed".
+
+// Local stand-in for a real gateway. It never talks to the network and
+// succeeds unless asked not to, which makes it usable in tests and development.
+export class FakePaymentProvider {
+  constructor({ failingSources = ["fail"] } = {}) {
+    this.name = "fake";
+    this.failingSources = failingSources;
+    this.operations = [];
+  }
+
+  async charge({ amount, currency, userId, source }) {
+    return this.record("charge", { amount, currency, userId, source });
+  }
+
+  async payout({ amount, currency, userId, destination }) {
+    return this.record("payout", { amount, currency, userId, source: destination });
+  }
+
+  record(kind, { amount, currency, userId, source }) {
+    const status = this.failingSources.includes(source) ? "failed" : "succeeded";
+    const operation = {
+      reference: `fake_${kind}_${crypto.randomBytes(8).toString("hex")}`,
+      status,
+      kind,
+      amount,
+      currency,
+      userId,
+      createdAt: new Date(),
+    };
+    this.operations.push(operation);
+    return { reference: operation.reference, status };
+  }
+}
+
+const providers = {
+  fake: () => new FakePaymentProvider(),
+};
+
+let provider = null;
+
+export const registerPaymentProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+export const getPaymentProvider = () => {
+  if (provider) return provider;
+
+  const name = process.env.PAYMENT_PROVIDER || "fake";
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+
+  provider = factory();
+  return provider;
+};
+
+// Swap the provider at runtime, e.g. for tests
+export const setPaymentProvider = (instance) => {
+  provider = instance;
+};
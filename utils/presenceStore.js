@@ -0,0 +1,256 @@
+import { randomUUID } from "crypto";
+import { removeRiderPosition, upsertRiderPosition } from "./riderIndex.js";
+
+// How often a shared store re-announces everything it owns, and how long
+// before the records of a silent instance are dropped
+const PRESENCE_SYNC_INTERVAL = Number(process.env.PRESENCE_SYNC_INTERVAL_MS) || 10000;
+const PRESENCE_INSTANCE_TIMEOUT = PRESENCE_SYNC_INTERVAL * 3;
+
+// Who is online and where: on-duty riders, customers watching riders around
+// them, and which users belong to which ride rooms. Reads are synchronous so
+// socket handlers and the rider index can use them on every update.
+export class MemoryPresenceStore {
+  constructor() {
+    // riderId -> { riderId, socketId, coords, vehicleType }
+    this.riders = new Map();
+    // socketId -> { socketId, userId, coords }
+    this.zoneSubscriptions = new Map();
+    // rideId -> Set of userIds
+    this.rideRooms = new Map();
+  }
+
+  async init() {}
+
+  getRider(riderId) {
+    return this.riders.get(riderId) || null;
+  }
+
+  hasRider(riderId) {
+    return this.riders.has(riderId);
+  }
+
+  getRiders() {
+    return Array.from(this.riders.values());
+  }
+
+  setRider(riderId, data) {
+    const record = { ...data, riderId };
+    this.riders.set(riderId, record);
+    upsertRiderPosition(riderId, record.coords);
+    return record;
+  }
+
+  updateRiderLocation(riderId, coords) {
+    const record = this.riders.get(riderId);
+    if (!record) return false;
+
+    record.coords = coords;
+    upsertRiderPosition(riderId, coords);
+    return true;
+  }
+
+  removeRider(riderId) {
+    this.riders.delete(riderId);
+    removeRiderPosition(riderId);
+  }
+
+  getZoneSubscriptions() {
+    return Array.from(this.zoneSubscriptions.values());
+  }
+
+  setZoneSubscription(socketId, { userId, coords }) {
+    const subscription = { socketId, userId, coords };
+    this.zoneSubscriptions.set(socketId, subscription);
+    return subscription;
+  }
+
+  removeZoneSubscription(socketId) {
+    this.zoneSubscriptions.delete(socketId);
+  }
+
+  joinRideRoom(rideId, userId) {
+    if (!this.rideRooms.has(rideId)) this.rideRooms.set(rideId, new Set());
+    this.rideRooms.get(rideId).add(userId);
+  }
+
+  leaveRideRoom(rideId, userId) {
+    this.rideRooms.get(rideId)?.delete(userId);
+    if (!this.rideRooms.get(rideId)?.size) this.rideRooms.delete(rideId);
+  }
+
+  clearRideRoom(rideId) {
+    this.rideRooms.delete(rideId);
+  }
+
+  getRideRoomMembers(rideId) {
+    return Array.from(this.rideRooms.get(rideId) || []);
+  }
+
+  getUserRideRooms(userId) {
+    return Array.from(this.rideRooms.entries())
+      .filter(([, members]) => members.has(userId))
+      .map(([rideId]) => rideId);
+  }
+}
+
+// A presence store shared by several server instances. Every instance keeps
+// a full copy and tells the others about its changes through the Socket.IO
+// adapter, so it works with any adapter that supports serverSideEmit.
+// Each instance owns the riders and subscriptions of its own sockets and
+// re-announces them regularly; copies from an instance that went quiet are
+// dropped.
+export class SharedPresenceStore extends MemoryPresenceStore {
+  constructor(io) {
+    super();
+    this.io = io;
+    this.instanceId = randomUUID();
+    // instanceId -> last time we heard from it
+    this.instances = new Map();
+    this.syncTimer = null;
+  }
+
+  async init() {
+    this.io.on("presence:change", (change) => this.applyChange(change));
+    this.io.on("presence:snapshot", (snapshot) => this.applySnapshot(snapshot));
+    // A new instance asks the others for what they own
+    this.io.on("presence:hello", () => this.publishSnapshot());
+
+    this.syncTimer = setInterval(() => {
+      this.publishSnapshot();
+      this.dropSilentInstances();
+    }, PRESENCE_SYNC_INTERVAL);
+
+    this.io.serverSideEmit("presence:hello", { instanceId: this.instanceId });
+  }
+
+  close() {
+    clearInterval(this.syncTimer);
+  }
+
+  publish(change) {
+    this.io.serverSideEmit("presence:change", { ...change, instanceId: this.instanceId });
+  }
+
+  publishSnapshot() {
+    const owned = (record) => record.instanceId === this.instanceId;
+
+    this.io.serverSideEmit("presence:snapshot", {
+      instanceId: this.instanceId,
+      riders: this.getRiders().filter(owned),
+      zoneSubscriptions: this.getZoneSubscriptions().filter(owned),
+      rideRooms: Array.from(this.rideRooms.entries()).map(([rideId, members]) => [
+        rideId,
+        Array.from(members),
+      ]),
+    });
+  }
+
+  applySnapshot({ instanceId, riders, zoneSubscriptions, rideRooms }) {
+    this.instances.set(instanceId, Date.now());
+    this.dropInstanceRecords(instanceId);
+
+    riders.forEach((record) => super.setRider(record.riderId, record));
+    zoneSubscriptions.forEach((subscription) =>
+      this.zoneSubscriptions.set(subscription.socketId, subscription)
+    );
+    rideRooms.forEach(([rideId, members]) =>
+      members.forEach((userId) => super.joinRideRoom(rideId, userId))
+    );
+  }
+
+  applyChange(change) {
+    this.instances.set(change.instanceId, Date.now());
+
+    switch (change.type) {
+      case "rider:set":
+        return super.setRider(change.riderId, change.record);
+      case "rider:location":
+        return super.updateRiderLocation(change.riderId, change.coords);
+      case "rider:remove":
+        return super.removeRider(change.riderId);
+      case "zone:set":
+        return this.zoneSubscriptions.set(change.subscription.socketId, change.subscription);
+      case "zone:remove":
+        return super.removeZoneSubscription(change.socketId);
+      case "room:join":
+        return super.joinRideRoom(change.rideId, change.userId);
+      case "room:leave":
+        return super.leaveRideRoom(change.rideId, change.userId);
+      case "room:clear":
+        return super.clearRideRoom(change.rideId);
+      default:
+        return null;
+    }
+  }
+
+  dropInstanceRecords(instanceId) {
+    this.getRiders()
+      .filter((record) => record.instanceId === instanceId)
+      .forEach((record) => super.removeRider(record.riderId));
+    this.getZoneSubscriptions()
+      .filter((subscription) => subscription.instanceId === instanceId)
+      .forEach((subscription) => super.removeZoneSubscription(subscription.socketId));
+  }
+
+  dropSilentInstances() {
+    const now = Date.now();
+    this.instances.forEach((lastSeen, instanceId) => {
+      if (now - lastSeen > PRESENCE_INSTANCE_TIMEOUT) {
+        this.dropInstanceRecords(instanceId);
+        this.instances.delete(instanceId);
+      }
+    });
+  }
+
+  setRider(riderId, data) {
+    const record = super.setRider(riderId, { ...data, instanceId: this.instanceId });
+    this.publish({ type: "rider:set", riderId, record });
+    return record;
+  }
+
+  updateRiderLocation(riderId, coords) {
+    const updated = super.updateRiderLocation(riderId, coords);
+    if (updated) this.publish({ type: "rider:location", riderId, coords });
+    return updated;
+  }
+
+  removeRider(riderId) {
+    super.removeRider(riderId);
+    this.publish({ type: "rider:remove", riderId });
+  }
+
+  setZoneSubscription(socketId, data) {
+    const subscription = super.setZoneSubscription(socketId, data);
+    subscription.instanceId = this.instanceId;
+    this.publish({ type: "zone:set", subscription });
+    return subscription;
+  }
+
+  removeZoneSubscription(socketId) {
+    super.removeZoneSubscription(socketId);
+    this.publish({ type: "zone:remove", socketId });
+  }
+
+  joinRideRoom(rideId, userId) {
+    super.joinRideRoom(rideId, userId);
+    this.publish({ type: "room:join", rideId, userId });
+  }
+
+  leaveRideRoom(rideId, userId) {
+    super.leaveRideRoom(rideId, userId);
+    this.publish({ type: "room:leave", rideId, userId });
+  }
+
+  clearRideRoom(rideId) {
+    super.clearRideRoom(rideId);
+    this.publish({ type: "room:clear", rideId });
+  }
+}
+
+// The shared store needs a cluster adapter; a single instance on the default
+// in-memory adapter keeps everything in memory
+export const createPresenceStore = async (io, { shared = false } = {}) => {
+  const store = shared ? new SharedPresenceStore(io) : new MemoryPresenceStore();
+  await store.init();
+  return store;
+};
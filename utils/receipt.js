@@ -0,0 +1,221 @@
+import PDFDocument from "pdfkit";
+import Ride from "../models/Ride.js";
+import { getRateCardByVersion } from "./fareConfig.js";
+import { roundAmount } from "./ledger.js";
+import { sendMail } from "./mailer.js";
+
+const CURRENCY = process.env.CURRENCY || "PHP";
+
+const fullName = (user) =>
+  [user?.firstName, user?.middleName, user?.lastName].filter(Boolean).join(" ") || "N/A";
+
+const formatMoney = (amount) => `${CURRENCY} ${roundAmount(amount || 0).toFixed(2)}`;
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Rebuild how the fare was made up from the rate card version that priced
+// the ride. Anything the rates do not explain (pool shares, mid-ride
+// re-quotes) shows up as a separate line so the lines always add up.
+const buildFareBreakdown = async (ride) => {
+  const rateCard = await getRateCardByVersion(ride.fareVersion);
+  const rates = rateCard?.rates?.[ride.vehicle];
+  const lines = [];
+
+  if (rates) {
+    // Completed rides are charged on the distance actually driven
+    const distance = ride.fareAdjustment?.actualDistance ?? ride.distance;
+    const distanceCharge = distance * rates.perKmRate;
+    const subtotal = rates.baseFare + distanceCharge;
+    const minimumFareAdjustment = Math.max(0, rates.minimumFare - subtotal);
+    const beforeSurge = subtotal + minimumFareAdjustment;
+    const surgeCharge = beforeSurge * ((ride.surgeMultiplier || 1) - 1);
+
+    lines.push({ label: "Base fare", amount: rates.baseFare });
+    lines.push({
+      label: `Distance (${distance.toFixed(2)} km x ${formatMoney(rates.perKmRate)})`,
+      amount: distanceCharge,
+    });
+    if (minimumFareAdjustment > 0) {
+      lines.push({ label: "Minimum fare adjustment", amount: minimumFareAdjustment });
+    }
+    if (surgeCharge > 0) {
+      lines.push({ label: `Surge (x${ride.surgeMultiplier})`, amount: surgeCharge });
+    }
+    if (ride.fareAdjustment?.waitingCharge > 0) {
+      lines.push({
+        label: `Waiting time (${ride.fareAdjustment.waitingMinutes} min)`,
+        amount: ride.fareAdjustment.waitingCharge,
+      });
+    }
+
+    const explained = lines.reduce((sum, line) => sum + line.amount, 0);
+    const difference = roundAmount(ride.fare - explained);
+    if (difference !== 0) {
+      lines.push({
+        label: ride.pooled ? "Shared ride discount" : "Adjustments",
+        amount: difference,
+      });
+    }
+  } else {
+    lines.push({ label: "Fare", amount: ride.fare });
+  }
+
+  return lines.map((line) => ({ ...line, amount: roundAmount(line.amount) }));
+};
+
+export const buildReceiptData = async (ride) => {
+  const fareLines = await buildFareBreakdown(ride);
+  if (ride.tip?.amount) {
+    fareLines.push({ label: "Tip", amount: roundAmount(ride.tip.amount) });
+  }
+
+  return {
+    receiptNumber: `ECO-${ride._id.toString().slice(-8).toUpperCase()}`,
+    rideId: ride._id.toString(),
+    completedAt: ride.completedAt || ride.updatedAt,
+    vehicle: ride.vehicle,
+    pickup: ride.pickup.address,
+    stops: ride.stops.map((stop) => stop.address),
+    drop: ride.drop.address,
+    distance: roundAmount(ride.fareAdjustment?.actualDistance ?? ride.distance),
+    quotedFare: ride.quotedFare,
+    customer: { name: fullName(ride.customer), email: ride.customer?.email },
+    rider: { name: fullName(ride.rider), licenseId: ride.rider?.licenseId || "N/A" },
+    fareLines,
+    total: roundAmount(fareLines.reduce((sum, line) => sum + line.amount, 0)),
+    paymentMethod: ride.paymentMethod,
+    paymentStatus: ride.paymentStatus,
+    currency: CURRENCY,
+  };
+};
+
+export const renderReceiptHtml = (receipt) => {
+  const route = [receipt.pickup, ...receipt.stops, receipt.drop]
+    .map((address) => `<li>${escapeHtml(address)}</li>`)
+    .join("");
+  const fareRows = receipt.fareLines
+    .map(
+      (line) =>
+        `<tr><td>${escapeHtml(line.label)}</td><td class="amount">${formatMoney(line.amount)}</td></tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>EcoRide receipt ${escapeHtml(receipt.receiptNumber)}</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 24px auto; }
+  h1 { color: #2e7d32; margin-bottom: 0; }
+  table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+  td { padding: 6px 0; border-bottom: 1px solid #eee; }
+  .amount { text-align: right; }
+  .total td { font-weight: bold; border-top: 2px solid #222; }
+  .muted { color: #777; font-size: 13px; }
+</style>
+</head>
+<body>
+  <h1>EcoRide</h1>
+  <p class="muted">Receipt ${escapeHtml(receipt.receiptNumber)} &middot; ${escapeHtml(
+    new Date(receipt.completedAt).toUTCString()
+  )}</p>
+  <p>Hi ${escapeHtml(receipt.customer.name)}, thanks for riding with us.</p>
+  <h3>Route</h3>
+  <ol>${route}</ol>
+  <p>${escapeHtml(receipt.vehicle)} &middot; ${receipt.distance.toFixed(2)} km</p>
+  <h3>Fare</h3>
+  <table>
+    ${fareRows}
+    <tr class="total"><td>Total</td><td class="amount">${formatMoney(receipt.total)}</td></tr>
+  </table>
+  ${
+    receipt.quotedFare !== null && receipt.quotedFare !== undefined
+      ? `<p class="muted">Quoted fare ${formatMoney(receipt.quotedFare)}</p>`
+      : ""
+  }
+  <p class="muted">Paid by ${escapeHtml(receipt.paymentMethod)} (${escapeHtml(receipt.paymentStatus)})</p>
+  <h3>Rider</h3>
+  <p>${escapeHtml(receipt.rider.name)}<br>License ID: ${escapeHtml(receipt.rider.licenseId)}</p>
+</body>
+</html>`;
+};
+
+export const renderReceiptPdf = (receipt) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A5", margin: 36 });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.fontSize(20).fillColor("#2e7d32").text("EcoRide");
+    doc
+      .fontSize(9)
+      .fillColor("#777777")
+      .text(`Receipt ${receipt.receiptNumber} - ${new Date(receipt.completedAt).toUTCString()}`);
+    doc.moveDown();
+
+    doc.fontSize(12).fillColor("#222222").text("Route");
+    doc.fontSize(10);
+    [receipt.pickup, ...receipt.stops, receipt.drop].forEach((address, index) =>
+      doc.text(`${index + 1}. ${address}`)
+    );
+    doc.text(`${receipt.vehicle} - ${receipt.distance.toFixed(2)} km`);
+    doc.moveDown();
+
+    doc.fontSize(12).text("Fare");
+    doc.fontSize(10);
+    receipt.fareLines.forEach((line) => {
+      const y = doc.y;
+      doc.text(line.label, { width: 250 });
+      doc.text(formatMoney(line.amount), 36, y, { align: "right" });
+    });
+    const totalY = doc.y + 4;
+    doc.font("Helvetica-Bold").text("Total", 36, totalY);
+    doc.text(formatMoney(receipt.total), 36, totalY, { align: "right" });
+    doc.font("Helvetica");
+    if (receipt.quotedFare !== null && receipt.quotedFare !== undefined) {
+      doc.text(`Quoted fare ${formatMoney(receipt.quotedFare)}`, 36);
+    }
+    doc.text(`Paid by ${receipt.paymentMethod} (${receipt.paymentStatus})`, 36);
+    doc.moveDown();
+
+    doc.fontSize(12).text("Rider");
+    doc.fontSize(10).text(receipt.rider.name);
+    doc.text(`License ID: ${receipt.rider.licenseId}`);
+
+    doc.end();
+  });
+
+export const loadReceiptRide = (rideId) =>
+  Ride.findById(rideId).populate("customer rider", "firstName middleName lastName email licenseId");
+
+export const emailRideReceipt = async (rideId) => {
+  const ride = await loadReceiptRide(rideId);
+  if (!ride?.customer?.email) return null;
+
+  const receipt = await buildReceiptData(ride);
+  const html = renderReceiptHtml(receipt);
+  const pdf = await renderReceiptPdf(receipt);
+
+  return sendMail({
+    to: ride.customer.email,
+    subject: `Your EcoRide receipt ${receipt.receiptNumber}`,
+    html,
+    text: `Thanks for riding with EcoRide. Your total was ${formatMoney(receipt.total)}.`,
+    attachments: [
+      {
+        filename: `${receipt.receiptNumber}.pdf`,
+        content: pdf,
+        contentType: "application/pdf",
+      },
+    ],
+  });
+};
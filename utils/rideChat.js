@@ -0,0 +1,136 @@
+import Ride from "../models/Ride.js";
+import RideMessage from "../models/RideMessage.js";
+import { BadRequestError, ForbiddenError, NotFoundError } from "../errors/index.js";
+import { ACTIVE_STATUSES } from "./rideStatus.js";
+
+const CHAT_MESSAGE_MAX_LENGTH = 500;
+const CHAT_HISTORY_LIMIT = 50;
+const CHAT_HISTORY_MAX_LIMIT = 200;
+
+// Canned messages each side can send with one tap
+export const QUICK_REPLIES = {
+  customer: [
+    { code: "AT_GATE", text: "I'm at the gate" },
+    { code: "COMING_OUT", text: "Coming out now" },
+    { code: "WAIT_TWO_MINUTES", text: "Please wait 2 minutes" },
+    { code: "CALL_ON_ARRIVAL", text: "Please call me when you arrive" },
+  ],
+  rider: [
+    { code: "ON_MY_WAY", text: "I'm on my way" },
+    { code: "ARRIVED", text: "I've arrived at the pickup point" },
+    { code: "STUCK_IN_TRAFFIC", text: "Stuck in traffic, I'll be there soon" },
+    { code: "CANT_FIND_YOU", text: "I can't find you. Where are you waiting?" },
+  ],
+};
+
+// Chat runs from the moment a rider takes the ride until it is completed or
+// cancelled
+export const isChatOpen = (ride) => !!ride.rider && ACTIVE_STATUSES.includes(ride.status);
+
+// Load a ride for one of its two chat members, with the side they are on
+const findChatRide = async (rideId, userId) => {
+  const ride = await Ride.findById(rideId).select("customer rider status");
+
+  if (!ride) {
+    throw new NotFoundError("Ride not found");
+  }
+
+  if (ride.customer?.toString() === userId) return { ride, chatRole: "customer" };
+  if (ride.rider?.toString() === userId) return { ride, chatRole: "rider" };
+
+  throw new ForbiddenError("You are not part of this ride");
+};
+
+export const sendRideMessage = async (rideId, userId, { text, template } = {}) => {
+  const { ride, chatRole } = await findChatRide(rideId, userId);
+
+  if (!isChatOpen(ride)) {
+    throw new BadRequestError("Chat is closed for this ride");
+  }
+
+  if (template) {
+    const reply = QUICK_REPLIES[chatRole].find((quickReply) => quickReply.code === template);
+    if (!reply) {
+      throw new BadRequestError("Unknown quick reply");
+    }
+    text = reply.text;
+  }
+
+  text = typeof text === "string" ? text.trim() : "";
+
+  if (!text) {
+    throw new BadRequestError("Message text or a quick reply is required");
+  }
+
+  if (text.length > CHAT_MESSAGE_MAX_LENGTH) {
+    throw new BadRequestError(`Messages can be at most ${CHAT_MESSAGE_MAX_LENGTH} characters`);
+  }
+
+  return RideMessage.create({
+    ride: ride._id,
+    sender: userId,
+    senderRole: chatRole,
+    text,
+    template: template || null,
+  });
+};
+
+// Mark everything the other side sent as delivered or read. Reading a
+// message also counts as receiving it. Returns the receipt to pass on to
+// the sender, or null when nothing changed.
+export const markRideMessages = async (rideId, userId, receipt) => {
+  if (!["delivered", "read"].includes(receipt)) {
+    throw new BadRequestError("Receipt must be delivered or read");
+  }
+
+  await findChatRide(rideId, userId);
+
+  const field = receipt === "read" ? "readAt" : "deliveredAt";
+  const filter = { ride: rideId, sender: { $ne: userId }, [field]: null };
+  const messageIds = await RideMessage.distinct("_id", filter);
+
+  if (!messageIds.length) return null;
+
+  const at = new Date();
+  await RideMessage.updateMany({ _id: { $in: messageIds } }, { [field]: at });
+  if (receipt === "read") {
+    await RideMessage.updateMany(
+      { _id: { $in: messageIds }, deliveredAt: null },
+      { deliveredAt: at }
+    );
+  }
+
+  return { rideId, receipt, by: userId, messageIds, at };
+};
+
+// Oldest first. `before` pages back from a message time, for long chats.
+export const getRideMessages = async (rideId, { before, limit } = {}) => {
+  const pageSize = Math.min(Number(limit) || CHAT_HISTORY_LIMIT, CHAT_HISTORY_MAX_LIMIT);
+  const filter = { ride: rideId };
+
+  if (before) {
+    const beforeDate = new Date(before);
+    if (Number.isNaN(beforeDate.getTime())) {
+      throw new BadRequestError("before must be a date");
+    }
+    filter.createdAt = { $lt: beforeDate };
+  }
+
+  const messages = await RideMessage.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(pageSize)
+    .populate("sender", "firstName lastName role");
+
+  return messages.reverse();
+};
+
+// History for one of the ride's members, with whether they can still write
+export const getRideChat = async (rideId, userId, options) => {
+  const { ride, chatRole } = await findChatRide(rideId, userId);
+
+  return {
+    open: isChatOpen(ride),
+    quickReplies: QUICK_REPLIES[chatRole],
+    messages: await getRideMessages(rideId, options),
+  };
+};
@@ -0,0 +1,42 @@
+import { calculateCommission } from "./earnings.js";
+import { settleRidePayment } from "./ridePayment.js";
+import { emailRideReceipt } from "./receipt.js";
+import { applyFinalFare } from "./finalFare.js";
+import { calculateRideCarbon } from "./emissions.js";
+import Ride from "../models/Ride.js";
+import Vehicle from "../models/Vehicle.js";
+import { isTerminalStatus } from "./rideStatus.js";
+
+// Passengers who shared the vehicle with this ride, including its own customer
+const countPassengers = async (ride) => {
+  if (!ride.pool) return 1;
+  const poolRides = await Ride.find({ pool: ride.pool }).select("status");
+  return poolRides.filter(
+    (poolRide) => poolRide.status === "COMPLETED" || !isTerminalStatus(poolRide.status)
+  ).length || 1;
+};
+
+// Everything that has to happen once a ride reaches COMPLETED, before it is
+// saved. Kept in one place so every path that completes a ride behaves the same.
+export const finalizeCompletedRide = async (ride) => {
+  ride.completedAt = new Date();
+  await applyFinalFare(ride);
+  ride.commission = calculateCommission(ride.fare);
+  const vehicle = ride.riderVehicle
+    ? await Vehicle.findById(ride.riderVehicle).select("electric")
+    : null;
+  ride.carbon = calculateRideCarbon(ride, {
+    electric: !!vehicle?.electric,
+    passengers: await countPassengers(ride),
+  });
+  await settleRidePayment(ride);
+  return ride;
+};
+
+// Side effects that need the completed ride to be saved first. They must
+// never fail the request that completed the ride.
+export const afterRideCompleted = (rideId) => {
+  emailRideReceipt(rideId).catch((error) =>
+    console.error(`Error sending receipt for ride ${rideId}:`, error)
+  );
+};
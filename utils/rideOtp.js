@@ -0,0 +1,61 @@
+import crypto from "crypto";
+import { BadRequestError, TooManyRequestsError } from "../errors/index.js";
+
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_LOCKOUT_MINUTES = Number(process.env.OTP_LOCKOUT_MINUTES) || 10;
+
+const otpMatches = (expected, submitted) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(submitted));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Check the code the customer read out to the rider. Failed attempts are
+// counted on the ride and lock verification for a while once exhausted.
+// The ride must be loaded with "+otp" and is not saved here.
+export const verifyRideOtp = (ride, submittedOtp, now = new Date()) => {
+  if (ride.otpLockedUntil && ride.otpLockedUntil > now) {
+    throw new TooManyRequestsError(
+      "Too many incorrect OTP attempts. Please try again later"
+    );
+  }
+
+  if (ride.otpLockedUntil && ride.otpLockedUntil <= now) {
+    ride.otpLockedUntil = null;
+    ride.otpAttempts = 0;
+  }
+
+  if (otpMatches(ride.otp, submittedOtp)) {
+    ride.otpAttempts = 0;
+    ride.otpVerifiedAt = now;
+    return true;
+  }
+
+  ride.otpAttempts += 1;
+
+  if (ride.otpAttempts >= OTP_MAX_ATTEMPTS) {
+    ride.otpLockedUntil = new Date(now.getTime() + OTP_LOCKOUT_MINUTES * 60 * 1000);
+  }
+
+  return false;
+};
+
+export const assertOtpFormat = (otp) => {
+  if (!/^\d{4}$/.test(String(otp ?? ""))) {
+    throw new BadRequestError("OTP must be a 4 digit code");
+  }
+};
+
+// Strip the OTP from a ride unless it is being sent to the ride's customer
+export const hideOtpFrom = (ride, userId) => {
+  if (!ride) return ride;
+
+  const payload = typeof ride.toObject === "function" ? ride.toObject() : { ...ride };
+  const customerId = payload.customer?._id ?? payload.customer;
+
+  if (customerId?.toString() !== userId?.toString()) {
+    delete payload.otp;
+  }
+
+  return payload;
+};
@@ -0,0 +1,112 @@
+import { BadRequestError } from "../errors/index.js";
+import {
+  PLATFORM_ACCOUNT,
+  getWallet,
+  postTransaction,
+  transfer,
+  walletAccount,
+} from "./ledger.js";
+
+export const PAYMENT_METHODS = ["CASH", "WALLET"];
+export const PAYMENT_STATUSES = ["PENDING", "PAID", "FAILED", "REFUNDED"];
+
+export const assertCanPayWithWallet = async (customerId, amount) => {
+  const wallet = await getWallet(customerId);
+  if (wallet.balance < amount) {
+    throw new BadRequestError("Insufficient wallet balance for this ride");
+  }
+};
+
+// Settle a completed ride. Cash is collected by the rider in person; wallet
+// rides move the fare from the customer's wallet to the rider's, less the
+// platform commission. Safe to call more than once. The ride is not saved here.
+export const settleRidePayment = async (ride) => {
+  if (ride.paymentStatus === "PAID") return ride;
+
+  if (ride.paymentMethod === "CASH") {
+    ride.paymentStatus = "PAID";
+    return ride;
+  }
+
+  try {
+    const commission = ride.commission || 0;
+    const transaction = await postTransaction({
+      type: "RIDE_CHARGE",
+      entries: [
+        {
+          account: walletAccount(ride.customer._id ?? ride.customer),
+          direction: "DEBIT",
+          amount: ride.fare,
+        },
+        {
+          account: walletAccount(ride.rider._id ?? ride.rider),
+          direction: "CREDIT",
+          amount: ride.fare - commission,
+        },
+        { account: PLATFORM_ACCOUNT, direction: "CREDIT", amount: commission },
+      ],
+      ride: ride._id,
+      description: `Fare for ride ${ride._id}`,
+      idempotencyKey: `ride_charge:${ride._id}`,
+    });
+    ride.paymentStatus = "PAID";
+    ride.paymentTransaction = transaction._id;
+  } catch (error) {
+    console.error(`Wallet payment failed for ride ${ride._id}:`, error);
+    ride.paymentStatus = "FAILED";
+  }
+
+  return ride;
+};
+
+// Charge a late-cancellation fee to a wallet customer and pass it on to the
+// rider who was on the way. Cash customers are not charged, as there is no
+// trip left to collect it on. A failed charge is logged and never blocks the
+// cancellation. The ride is not saved here.
+export const chargeCancellationFee = async (ride) => {
+  const fee = ride.cancellation?.fee || 0;
+  if (!(fee > 0) || ride.paymentMethod !== "WALLET" || !ride.rider) return ride;
+
+  try {
+    const transaction = await transfer({
+      type: "CANCELLATION_FEE",
+      from: walletAccount(ride.customer._id ?? ride.customer),
+      to: walletAccount(ride.rider._id ?? ride.rider),
+      amount: fee,
+      ride: ride._id,
+      description: `Late cancellation fee for ride ${ride._id}`,
+      idempotencyKey: `cancel_fee:${ride._id}`,
+    });
+    ride.cancellation.feeTransaction = transaction._id;
+  } catch (error) {
+    console.error(`Cancellation fee could not be charged for ride ${ride._id}:`, error);
+  }
+
+  return ride;
+};
+
+// Refund a paid ride into the customer's wallet. The platform carries the
+// cost; recovering it from the rider is a separate adjustment.
+export const refundRidePayment = async (ride, { amount = ride.fare, reason = "", adminId = null } = {}) => {
+  if (ride.paymentStatus !== "PAID") {
+    throw new BadRequestError("Only paid rides can be refunded");
+  }
+
+  if (!(amount > 0) || amount > ride.fare) {
+    throw new BadRequestError("Refund amount must be between 0 and the ride fare");
+  }
+
+  const transaction = await transfer({
+    type: "REFUND",
+    from: PLATFORM_ACCOUNT,
+    to: walletAccount(ride.customer._id ?? ride.customer),
+    amount,
+    ride: ride._id,
+    description: reason || `Refund for ride ${ride._id}`,
+    idempotencyKey: `refund:${ride._id}`,
+    createdBy: adminId,
+  });
+
+  ride.paymentStatus = "REFUNDED";
+  return transaction;
+};
@@ -0,0 +1,298 @@
+import Ride from "../models/Ride.js";
+import RidePool from "../models/RidePool.js";
+import { calculateFare, calculateRouteDistance } from "./mapUtils.js";
+import { getActiveRateCard, getRateCardByVersion } from "./fareConfig.js";
+import { buildTransitionUpdate, isTerminalStatus, transitionRide } from "./rideStatus.js";
+
+export const VEHICLE_CAPACITY = {
+  bike: 1,
+  auto: 3,
+  cabEconomy: 4,
+  cabPremium: 4,
+};
+
+// How much longer than their solo trip any passenger's journey may become
+const POOL_MAX_DETOUR = Number(process.env.POOL_MAX_DETOUR) || 0.3;
+// Only pools with an upcoming waypoint this close to the new pickup are considered
+const POOL_SEARCH_RADIUS_KM = Number(process.env.POOL_SEARCH_RADIUS_KM) || 3;
+
+export const isPoolableVehicle = (vehicle) => (VEHICLE_CAPACITY[vehicle] || 1) > 1;
+
+const roundFare = (fare) => Math.round(fare * 100) / 100;
+
+const toWaypoint = (ride, type) => {
+  const location = type === "PICKUP" ? ride.pickup : ride.drop;
+  return {
+    ride: ride._id,
+    type,
+    address: location.address,
+    latitude: location.latitude,
+    longitude: location.longitude,
+    done: false,
+  };
+};
+
+const sameRide = (a, b) => a.toString() === b.toString();
+
+const passengerDistance = (route, rideId) => {
+  const pickupIndex = route.findIndex((w) => sameRide(w.ride, rideId) && w.type === "PICKUP");
+  const dropIndex = route.findIndex((w) => sameRide(w.ride, rideId) && w.type === "DROP");
+  return calculateRouteDistance(route.slice(pickupIndex, dropIndex + 1));
+};
+
+const withinDetourLimit = (route, soloDistances) =>
+  Object.entries(soloDistances).every(
+    ([rideId, solo]) => passengerDistance(route, rideId) <= solo * (1 + POOL_MAX_DETOUR)
+  );
+
+// Cheapest way to fit a new passenger's pickup and drop into a route,
+// without moving waypoints that are already done or pushing any passenger
+// past the detour limit. Returns null when the passenger does not fit.
+export const findBestInsertion = (route, ride, soloDistances) => {
+  const pickup = toWaypoint(ride, "PICKUP");
+  const drop = toWaypoint(ride, "DROP");
+  const distances = { ...soloDistances, [ride._id]: ride.distance };
+  const currentDistance = calculateRouteDistance(route);
+
+  let lastDone = -1;
+  route.forEach((waypoint, index) => {
+    if (waypoint.done) lastDone = index;
+  });
+
+  let best = null;
+
+  // The new pickup has to come before the last drop, otherwise the trips
+  // would simply run back to back instead of being shared
+  for (let i = lastDone + 1; i < route.length; i++) {
+    for (let j = i; j <= route.length; j++) {
+      const candidate = [...route];
+      candidate.splice(i, 0, pickup);
+      candidate.splice(j + 1, 0, drop);
+
+      if (!withinDetourLimit(candidate, distances)) continue;
+
+      const distance = calculateRouteDistance(candidate);
+      if (!best || distance < best.distance) {
+        best = { route: candidate, distance, addedDistance: distance - currentDistance };
+      }
+    }
+  }
+
+  return best;
+};
+
+const isNearRoute = (route, location) =>
+  route.some(
+    (waypoint) =>
+      !waypoint.done &&
+      calculateRouteDistance([waypoint, location]) <= POOL_SEARCH_RADIUS_KM
+  );
+
+// Split the pooled route's fare between passengers in proportion to what
+// each would have paid alone. Nobody pays more than their solo fare and
+// fares of finished rides are left untouched. The sharing discount compares
+// base prices only, so surge and the rate card each passenger was quoted on
+// stay in their fare.
+export const splitPoolFares = async (pool, rides) => {
+  const payingRides = rides.filter(
+    (ride) => ride.status === "COMPLETED" || !isTerminalStatus(ride.status)
+  );
+  if (payingRides.length === 0) return;
+
+  const rateCards = new Map();
+  const baseFare = async (distance, version) => {
+    if (!rateCards.has(version)) {
+      rateCards.set(
+        version,
+        (await getRateCardByVersion(version)) || (await getActiveRateCard())
+      );
+    }
+    return calculateFare(distance, rateCards.get(version).rates)[pool.vehicle];
+  };
+
+  let soloTotal = 0;
+  for (const ride of payingRides) {
+    soloTotal += await baseFare(ride.distance, ride.fareVersion ?? pool.fareVersion);
+  }
+  if (soloTotal === 0) return;
+
+  const poolFare = await baseFare(pool.distance, pool.fareVersion);
+  const factor = Math.min(1, poolFare / soloTotal);
+
+  for (const ride of payingRides) {
+    if (ride.status === "COMPLETED") continue;
+    ride.fare = roundFare(ride.soloFare * factor);
+    await ride.save();
+  }
+};
+
+// Pools assigned before they recorded the vehicle still have it on their rides
+const findPoolRiderVehicle = async (pool) => {
+  const assignedRide = await Ride.findOne({
+    pool: pool._id,
+    rider: pool.rider,
+    riderVehicle: { $ne: null },
+  }).select("riderVehicle");
+  return assignedRide?.riderVehicle || null;
+};
+
+// Try to add a freshly created pooled ride to a compatible open pool,
+// otherwise start a new pool with it. Returns the pool.
+export const matchIntoPool = async (ride) => {
+  const capacity = VEHICLE_CAPACITY[ride.vehicle] || 1;
+  const pools = await RidePool.find({ status: "OPEN", vehicle: ride.vehicle }).populate("rides");
+
+  let best = null;
+
+  for (const pool of pools) {
+    const activeRides = pool.rides.filter((poolRide) => !isTerminalStatus(poolRide.status));
+    if (activeRides.length === 0 || activeRides.length >= capacity) continue;
+    if (!isNearRoute(pool.route, ride.pickup)) continue;
+
+    const soloDistances = Object.fromEntries(
+      activeRides.map((poolRide) => [poolRide._id.toString(), poolRide.distance])
+    );
+    const insertion = findBestInsertion(pool.route, ride, soloDistances);
+
+    if (insertion && (!best || insertion.addedDistance < best.insertion.addedDistance)) {
+      best = { pool, insertion };
+    }
+  }
+
+  let pool;
+
+  if (best) {
+    pool = best.pool;
+    pool.route = best.insertion.route;
+    pool.distance = best.insertion.distance;
+    pool.rides.push(ride._id);
+  } else {
+    const rateCard = await getActiveRateCard();
+    pool = new RidePool({
+      vehicle: ride.vehicle,
+      rides: [ride._id],
+      route: [toWaypoint(ride, "PICKUP"), toWaypoint(ride, "DROP")],
+      distance: ride.distance,
+      fareVersion: rateCard.version,
+    });
+  }
+
+  await pool.save();
+
+  ride.pool = pool._id;
+  if (pool.rider) {
+    ride.rider = pool.rider;
+    ride.riderVehicle = pool.riderVehicle || (await findPoolRiderVehicle(pool));
+    transitionRide(ride, "START", { actorRole: "system", reason: "POOL_MATCHED" });
+  }
+  await ride.save();
+
+  await splitPoolFares(pool, await Ride.find({ pool: pool._id }));
+
+  return pool;
+};
+
+// Give a pool to a rider, unless another rider got it first. Returns the
+// pool and whether this call assigned it, or null when it is someone else's.
+export const claimPoolForRider = async (poolId, riderId, vehicleId = null) => {
+  const pool = await RidePool.findOneAndUpdate(
+    { _id: poolId, rider: null },
+    { rider: riderId, riderVehicle: vehicleId },
+    { new: true }
+  );
+  if (pool) return { pool, claimed: true };
+
+  const heldPool = await RidePool.findOne({ _id: poolId, rider: riderId });
+  return heldPool ? { pool: heldPool, claimed: false } : null;
+};
+
+export const releasePoolClaim = (poolId, riderId) =>
+  RidePool.updateOne({ _id: poolId, rider: riderId }, { rider: null, riderVehicle: null });
+
+// Give every searching passenger on the pool to the rider who holds it.
+// Each ride moves only if nobody took it in the meantime. Returns the pool
+// and the rides that were moved.
+export const assignPoolRider = async (poolId, riderId, vehicleId = null) => {
+  const pool = await RidePool.findOne({ _id: poolId, rider: riderId });
+  if (!pool) return null;
+
+  const waitingRides = await Ride.find({
+    pool: poolId,
+    status: "SEARCHING_FOR_RIDER",
+    rider: null,
+  }).select("_id");
+
+  const assignedRides = [];
+  for (const waitingRide of waitingRides) {
+    const assignedRide = await Ride.findOneAndUpdate(
+      { _id: waitingRide._id, status: "SEARCHING_FOR_RIDER", rider: null },
+      buildTransitionUpdate(
+        "SEARCHING_FOR_RIDER",
+        "START",
+        { actorRole: "system", reason: "POOL_ACCEPTED" },
+        { rider: riderId, riderVehicle: vehicleId }
+      ),
+      { new: true }
+    );
+    if (assignedRide) assignedRides.push(assignedRide);
+  }
+
+  return { pool, assignedRides };
+};
+
+// Keep a pool's route and fares in line with one of its rides after that
+// ride changed status. Closes the pool once every ride on it is finished.
+export const syncPoolWithRide = async (ride) => {
+  if (!ride.pool) return null;
+
+  const pool = await RidePool.findById(ride.pool);
+  if (!pool) return null;
+
+  const rideId = ride._id.toString();
+
+  if (ride.status === "IN_PROGRESS" || ride.status === "COMPLETED") {
+    pool.route.forEach((waypoint) => {
+      if (!sameRide(waypoint.ride, rideId)) return;
+      if (waypoint.type === "PICKUP" || ride.status === "COMPLETED") waypoint.done = true;
+    });
+  } else if (["CANCELLED", "NO_SHOW", "EXPIRED"].includes(ride.status)) {
+    pool.route = pool.route.filter((waypoint) => !sameRide(waypoint.ride, rideId));
+    pool.distance = calculateRouteDistance(pool.route);
+  }
+
+  const rides = await Ride.find({ pool: pool._id });
+  if (rides.every((poolRide) => isTerminalStatus(poolRide.status))) {
+    pool.status = "CLOSED";
+  }
+
+  await pool.save();
+
+  if (["CANCELLED", "NO_SHOW", "EXPIRED"].includes(ride.status)) {
+    await splitPoolFares(pool, rides);
+  }
+
+  return pool;
+};
+
+// Tell every passenger on a pool (and the rider, through the ride rooms)
+// about the current route and fares
+export const broadcastPoolUpdate = async (io, pool) => {
+  if (!io || !pool) return;
+
+  const rides = await Ride.find({ pool: pool._id }).select("customer status fare soloFare pickup drop");
+  const summary = {
+    poolId: pool._id,
+    status: pool.status,
+    rider: pool.rider,
+    route: pool.route,
+    distance: pool.distance,
+    passengers: rides.map((ride) => ({
+      rideId: ride._id,
+      status: ride.status,
+      fare: ride.fare,
+      soloFare: ride.soloFare,
+    })),
+  };
+
+  rides.forEach((ride) => io.to(`ride_${ride._id}`).emit("poolUpdate", summary));
+};
@@ -0,0 +1,137 @@
+import Ride from "../models/Ride.js";
+import { BadRequestError } from "../errors/index.js";
+import { buildTransitionUpdate } from "./rideStatus.js";
+import { buildExpireUpdate } from "./cancellation.js";
+
+const SCHEDULER_INTERVAL_SECONDS = Number(process.env.SCHEDULER_INTERVAL_SECONDS) || 30;
+const SCHEDULE_DISPATCH_LEAD_MINUTES = Number(process.env.SCHEDULE_DISPATCH_LEAD_MINUTES) || 15;
+const SCHEDULE_REMINDER_LEAD_MINUTES = Number(process.env.SCHEDULE_REMINDER_LEAD_MINUTES) || 60;
+const SCHEDULE_MIN_LEAD_MINUTES = Number(process.env.SCHEDULE_MIN_LEAD_MINUTES) || 30;
+const SCHEDULE_MAX_DAYS = Number(process.env.SCHEDULE_MAX_DAYS) || 7;
+// How long past pickup time a schedule that never dispatched is still worth trying
+const SCHEDULE_MISSED_GRACE_MINUTES = Number(process.env.SCHEDULE_MISSED_GRACE_MINUTES) || 10;
+
+const MINUTE = 60 * 1000;
+
+let schedulerTimer = null;
+
+// Past this, a scheduled ride is no longer worth picking up
+export const getScheduleMissedAt = (scheduledAt) =>
+  new Date(scheduledAt.getTime() + SCHEDULE_MISSED_GRACE_MINUTES * MINUTE);
+
+export const parseScheduledAt = (scheduledAt, now = new Date()) => {
+  const date = new Date(scheduledAt);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new BadRequestError("scheduledAt must be a valid date");
+  }
+
+  if (date - now < SCHEDULE_MIN_LEAD_MINUTES * MINUTE) {
+    throw new BadRequestError(
+      `Scheduled rides must be booked at least ${SCHEDULE_MIN_LEAD_MINUTES} minutes in advance`
+    );
+  }
+
+  if (date - now > SCHEDULE_MAX_DAYS * 24 * 60 * MINUTE) {
+    throw new BadRequestError(
+      `Scheduled rides can be booked at most ${SCHEDULE_MAX_DAYS} days in advance`
+    );
+  }
+
+  return date;
+};
+
+const sendReminders = async (now, notify) => {
+  const rides = await Ride.find({
+    status: "SCHEDULED",
+    reminderSentAt: null,
+    scheduledAt: { $lte: new Date(now.getTime() + SCHEDULE_REMINDER_LEAD_MINUTES * MINUTE) },
+  });
+
+  for (const ride of rides) {
+    notify(ride.customer, "rideReminder", {
+      rideId: ride._id,
+      scheduledAt: ride.scheduledAt,
+      pickup: ride.pickup,
+      drop: ride.drop,
+    });
+    ride.reminderSentAt = now;
+    await ride.save();
+  }
+};
+
+const expireMissedRides = async (now, notify, closeRideRoom) => {
+  const rides = await Ride.find({
+    status: "SCHEDULED",
+    scheduledAt: { $lt: new Date(now.getTime() - SCHEDULE_MISSED_GRACE_MINUTES * MINUTE) },
+  });
+
+  for (const { _id } of rides) {
+    const ride = await Ride.findOneAndUpdate(
+      { _id, status: "SCHEDULED" },
+      buildExpireUpdate("SCHEDULED", "SCHEDULE_MISSED"),
+      { new: true }
+    );
+    // Cancelled or dispatched since the query ran
+    if (!ride) continue;
+
+    notify(ride.customer, "rideExpired", {
+      rideId: ride._id,
+      message: "Your scheduled ride could not be dispatched in time",
+    });
+    closeRideRoom(ride._id);
+  }
+};
+
+const dispatchDueRides = async (now, dispatch, notify) => {
+  const rides = await Ride.find({
+    status: "SCHEDULED",
+    scheduledAt: { $lte: new Date(now.getTime() + SCHEDULE_DISPATCH_LEAD_MINUTES * MINUTE) },
+  });
+
+  for (const { _id } of rides) {
+    const ride = await Ride.findOneAndUpdate(
+      { _id, status: "SCHEDULED" },
+      buildTransitionUpdate("SCHEDULED", "SEARCHING_FOR_RIDER", {
+        actorRole: "system",
+        reason: "SCHEDULED_DISPATCH",
+      }),
+      { new: true }
+    );
+    // Cancelled, or picked up by another scheduler run
+    if (!ride) continue;
+
+    notify(ride.customer, "rideUpdate", ride);
+
+    try {
+      await dispatch(ride._id);
+    } catch (error) {
+      console.error(`Error dispatching scheduled ride ${ride._id}:`, error);
+    }
+  }
+};
+
+export const runScheduler = async (
+  { dispatch, notify, closeRideRoom = () => {} },
+  now = new Date()
+) => {
+  await expireMissedRides(now, notify, closeRideRoom);
+  await sendReminders(now, notify);
+  await dispatchDueRides(now, dispatch, notify);
+};
+
+// Periodically turn due scheduled rides into live searches. dispatch starts
+// the rider search for a ride id, notify(userId, event, payload) reaches the
+// customer on whatever socket they have open, closeRideRoom(rideId) forgets
+// the room of a ride that expired.
+export const startRideScheduler = (handlers) => {
+  if (schedulerTimer) return;
+
+  schedulerTimer = setInterval(async () => {
+    try {
+      await runScheduler(handlers);
+    } catch (error) {
+      console.error("Error running ride scheduler:", error);
+    }
+  }, SCHEDULER_INTERVAL_SECONDS * 1000);
+};
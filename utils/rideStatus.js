@@ -0,0 +1,108 @@
+import { BadRequestError } from "../errors/index.js";
+
+export const RIDE_STATUSES = [
+  "SCHEDULED",
+  "SEARCHING_FOR_RIDER",
+  "START",
+  "ARRIVED",
+  "IN_PROGRESS",
+  "COMPLETED",
+  "CANCELLED",
+  "NO_SHOW",
+  "EXPIRED",
+];
+
+export const TERMINAL_STATUSES = ["COMPLETED", "CANCELLED", "NO_SHOW", "EXPIRED"];
+
+// Statuses in which a rider is assigned and the trip is still underway
+export const ACTIVE_STATUSES = ["START", "ARRIVED", "IN_PROGRESS"];
+
+// For every status, the statuses it may move to and the roles allowed to make
+// that move. "system" covers timers and background jobs.
+const TRANSITIONS = {
+  SCHEDULED: {
+    SEARCHING_FOR_RIDER: ["system"],
+    CANCELLED: ["customer", "admin", "system"],
+    EXPIRED: ["system"],
+  },
+  SEARCHING_FOR_RIDER: {
+    // system assigns pooled passengers to the rider already on their pool
+    START: ["rider", "system"],
+    CANCELLED: ["customer", "admin", "system"],
+    EXPIRED: ["system"],
+  },
+  START: {
+    ARRIVED: ["rider"],
+    CANCELLED: ["customer", "rider", "admin", "system"],
+  },
+  ARRIVED: {
+    IN_PROGRESS: ["rider"],
+    CANCELLED: ["customer", "rider", "admin", "system"],
+    NO_SHOW: ["rider", "admin"],
+  },
+  IN_PROGRESS: {
+    COMPLETED: ["rider", "admin"],
+  },
+  COMPLETED: {},
+  CANCELLED: {},
+  NO_SHOW: {},
+  EXPIRED: {},
+};
+
+export const isTerminalStatus = (status) => TERMINAL_STATUSES.includes(status);
+
+export const canTransition = (from, to, role = "system") => {
+  const allowedRoles = TRANSITIONS[from]?.[to];
+  return !!allowedRoles && allowedRoles.includes(role);
+};
+
+const assertTransition = (from, to, actorRole) => {
+  if (!RIDE_STATUSES.includes(to)) {
+    throw new BadRequestError(`Invalid ride status: ${to}`);
+  }
+
+  if (!TRANSITIONS[from]?.[to]) {
+    throw new BadRequestError(`Cannot change ride status from ${from} to ${to}`);
+  }
+
+  if (!canTransition(from, to, actorRole)) {
+    throw new BadRequestError(`A ${actorRole} cannot change ride status from ${from} to ${to}`);
+  }
+};
+
+const historyEntry = (from, to, { actorId = null, actorRole = "system", reason = "" }) => ({
+  from,
+  to,
+  changedBy: actorId,
+  actorRole,
+  reason,
+  at: new Date(),
+});
+
+// Move a ride to a new status and record the change in its history.
+// The ride is not saved here so callers can batch other changes with it.
+export const transitionRide = (
+  ride,
+  to,
+  { actorId = null, actorRole = "system", reason = "" } = {}
+) => {
+  const from = ride.status;
+  assertTransition(from, to, actorRole);
+
+  ride.status = to;
+  ride.statusHistory.push(historyEntry(from, to, { actorId, actorRole, reason }));
+
+  return ride;
+};
+
+// The same change as an update document, for a conditional update that only
+// applies while the ride is still in `from`. Pass it to findOneAndUpdate
+// with { status: from } in the filter.
+export const buildTransitionUpdate = (from, to, actor = {}, set = {}) => {
+  assertTransition(from, to, actor.actorRole || "system");
+
+  return {
+    $set: { ...set, status: to },
+    $push: { statusHistory: historyEntry(from, to, actor) },
+  };
+};
@@ -0,0 +1,42 @@
+import { BadRequestError } from "../errors/index.js";
+
+export const MAX_STOPS = Number(process.env.MAX_RIDE_STOPS) || 3;
+
+const isCoordinate = (value) => value !== null && value !== "" && !Number.isNaN(Number(value));
+
+// Validate a single stop. Addresses are optional for estimates, where the
+// client only knows coordinates.
+export const parseStop = (stop, { requireAddress = true } = {}) => {
+  if (!stop || !isCoordinate(stop.latitude) || !isCoordinate(stop.longitude)) {
+    throw new BadRequestError("Every stop needs a latitude and longitude");
+  }
+
+  if (requireAddress && !stop.address) {
+    throw new BadRequestError("Every stop needs an address");
+  }
+
+  return {
+    address: stop.address,
+    latitude: Number(stop.latitude),
+    longitude: Number(stop.longitude),
+  };
+};
+
+export const parseStops = (stops = [], options) => {
+  if (!Array.isArray(stops)) {
+    throw new BadRequestError("Stops must be a list");
+  }
+
+  if (stops.length > MAX_STOPS) {
+    throw new BadRequestError(`A ride can have at most ${MAX_STOPS} stops`);
+  }
+
+  return stops.map((stop) => parseStop(stop, options));
+};
+
+// Pickup, every intermediate stop in order, then drop
+export const getRoutePoints = ({ pickup, stops = [], drop }) => [pickup, ...stops, drop];
+
+// Stops are reached in order, so the next one is the first not yet reached
+export const getNextStopIndex = (stops) =>
+  stops.findIndex((stop) => stop.status !== "REACHED");
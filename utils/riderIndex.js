@@ -0,0 +1,136 @@
+import geolib from "geolib";
+
+// Grid spatial index of on-duty rider positions. Riders are bucketed into
+// square cells so radius and nearest-rider queries only look at the cells
+// around a point instead of every rider.
+const RIDER_INDEX_CELL_SIZE = Number(process.env.RIDER_INDEX_CELL_SIZE) || 0.01;
+const METERS_PER_DEGREE = 111320;
+
+// cellId -> Set of riderIds
+const cells = new Map();
+// riderId -> { coords, cellId }
+const positions = new Map();
+
+const toCell = (value) => Math.floor(value / RIDER_INDEX_CELL_SIZE);
+const cellId = (latCell, lonCell) => `${latCell}:${lonCell}`;
+
+const isValidCoords = (coords) =>
+  Number.isFinite(Number(coords?.latitude)) && Number.isFinite(Number(coords?.longitude));
+
+export const upsertRiderPosition = (riderId, coords) => {
+  if (!isValidCoords(coords)) return;
+
+  const id = cellId(toCell(Number(coords.latitude)), toCell(Number(coords.longitude)));
+  const previous = positions.get(riderId);
+
+  if (previous && previous.cellId !== id) {
+    cells.get(previous.cellId)?.delete(riderId);
+    if (!cells.get(previous.cellId)?.size) cells.delete(previous.cellId);
+  }
+
+  if (!cells.has(id)) cells.set(id, new Set());
+  cells.get(id).add(riderId);
+  positions.set(riderId, { coords, cellId: id });
+};
+
+export const removeRiderPosition = (riderId) => {
+  const previous = positions.get(riderId);
+  if (!previous) return;
+
+  cells.get(previous.cellId)?.delete(riderId);
+  if (!cells.get(previous.cellId)?.size) cells.delete(previous.cellId);
+  positions.delete(riderId);
+};
+
+export const getRiderPosition = (riderId) => positions.get(riderId)?.coords || null;
+
+export const getIndexedRiderCount = () => positions.size;
+
+const withDistance = (riderId, location) => {
+  const { coords } = positions.get(riderId);
+  return { riderId, coords, distance: geolib.getDistance(coords, location) };
+};
+
+// Riders in the cells that make up ring `ring` around the centre cell
+const ridersInRing = (centreLat, centreLon, ring) => {
+  const riderIds = [];
+  const collect = (latCell, lonCell) => {
+    const cell = cells.get(cellId(latCell, lonCell));
+    if (cell) riderIds.push(...cell);
+  };
+
+  if (ring === 0) {
+    collect(centreLat, centreLon);
+    return riderIds;
+  }
+
+  for (let offset = -ring; offset <= ring; offset++) {
+    collect(centreLat - ring, centreLon + offset);
+    collect(centreLat + ring, centreLon + offset);
+  }
+  for (let offset = -ring + 1; offset <= ring - 1; offset++) {
+    collect(centreLat + offset, centreLon - ring);
+    collect(centreLat + offset, centreLon + ring);
+  }
+  return riderIds;
+};
+
+// Narrowest side of a cell at this latitude, in meters
+const cellWidthMeters = (latitude) =>
+  RIDER_INDEX_CELL_SIZE * METERS_PER_DEGREE * Math.max(Math.cos((latitude * Math.PI) / 180), 0.01);
+
+// Riders within `radius` meters of a location, nearest first
+export const findRidersWithinRadius = (location, radius) => {
+  if (!isValidCoords(location)) return [];
+
+  const latitude = Number(location.latitude);
+  const rings = Math.ceil(radius / cellWidthMeters(latitude));
+
+  // A wide radius over a sparse index is cheaper to answer by scanning
+  // every rider than by probing mostly empty cells
+  const candidates =
+    (2 * rings + 1) ** 2 > positions.size
+      ? Array.from(positions.keys())
+      : Array.from({ length: rings + 1 }, (_, ring) =>
+          ridersInRing(toCell(latitude), toCell(Number(location.longitude)), ring)
+        ).flat();
+
+  return candidates
+    .map((riderId) => withDistance(riderId, location))
+    .filter((rider) => rider.distance <= radius)
+    .sort((a, b) => a.distance - b.distance);
+};
+
+// The `k` riders nearest to a location, optionally no further than
+// `maxRadius` meters. Rings of cells are searched outwards until no
+// unsearched cell could hold anyone closer than the k-th rider found.
+export const findNearestRiders = (location, k, maxRadius = Infinity) => {
+  if (!isValidCoords(location) || k <= 0 || !positions.size) return [];
+
+  const latitude = Number(location.latitude);
+  const centreLat = toCell(latitude);
+  const centreLon = toCell(Number(location.longitude));
+  const width = cellWidthMeters(latitude);
+  const maxRings = Number.isFinite(maxRadius)
+    ? Math.ceil(maxRadius / width)
+    : Math.ceil(180 / RIDER_INDEX_CELL_SIZE);
+
+  const found = [];
+  let seen = 0;
+
+  for (let ring = 0; ring <= maxRings && seen < positions.size; ring++) {
+    const ringRiders = ridersInRing(centreLat, centreLon, ring);
+    seen += ringRiders.length;
+    found.push(
+      ...ringRiders
+        .map((riderId) => withDistance(riderId, location))
+        .filter((rider) => rider.distance <= maxRadius)
+    );
+    found.sort((a, b) => a.distance - b.distance);
+
+    // Cells in the next ring are at least `ring * width` meters away
+    if (found.length >= k && found[k - 1].distance <= ring * width) break;
+  }
+
+  return found.slice(0, k);
+};
@@ -0,0 +1,52 @@
+import User from "../models/User.js";
+import { getActiveVehicles } from "./vehicles.js";
+
+// Short-lived cache of the rider details shown to customers, so nearby rider
+// pushes do not query the database for every rider on every update
+const RIDER_PROFILE_CACHE_SECONDS = Number(process.env.RIDER_PROFILE_CACHE_SECONDS) || 300;
+const RIDER_PROFILE_FIELDS = "firstName lastName";
+
+// riderId -> { profile, expiresAt }
+const profileCache = new Map();
+
+// Profiles, with the active vehicle, for several riders at once. Missing or
+// stale entries are loaded in one go. Returns a Map of riderId -> profile
+// (or null).
+export const getRiderProfiles = async (riderIds) => {
+  const now = Date.now();
+  const profiles = new Map();
+  const missing = [];
+
+  riderIds.forEach((riderId) => {
+    const cached = profileCache.get(riderId);
+    if (cached && cached.expiresAt > now) {
+      profiles.set(riderId, cached.profile);
+    } else {
+      missing.push(riderId);
+    }
+  });
+
+  if (missing.length) {
+    const [users, vehicles] = await Promise.all([
+      User.find({ _id: { $in: missing } })
+        .select(RIDER_PROFILE_FIELDS)
+        .lean(),
+      getActiveVehicles(missing),
+    ]);
+    const loaded = new Map(users.map((user) => [user._id.toString(), user]));
+    const expiresAt = now + RIDER_PROFILE_CACHE_SECONDS * 1000;
+
+    missing.forEach((riderId) => {
+      const user = loaded.get(riderId);
+      const profile = user ? { ...user, vehicle: vehicles.get(riderId) || null } : null;
+      profileCache.set(riderId, { profile, expiresAt });
+      profiles.set(riderId, profile);
+    });
+  }
+
+  return profiles;
+};
+
+export const invalidateRiderProfile = (riderId) => {
+  profileCache.delete(riderId.toString());
+};
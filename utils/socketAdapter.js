@@ -0,0 +1,79 @@
+import { EventEmitter } from "events";
+import mongoose from "mongoose";
+import { ClusterAdapterWithHeartbeat } from "socket.io-adapter";
+import { createAdapter as createMongoAdapter } from "@socket.io/mongo-adapter";
+
+// memory: one server instance, nothing shared (default)
+// mongo:  instances share rooms and events through a MongoDB collection
+// local:  in-process stand-in for a shared backend, for running several
+//         Socket.IO servers side by side without outside services
+const SOCKET_ADAPTER = process.env.SOCKET_ADAPTER || "memory";
+const SOCKET_ADAPTER_COLLECTION = process.env.SOCKET_ADAPTER_COLLECTION || "socket_io_events";
+const SOCKET_ADAPTER_COLLECTION_SIZE = 10 * 1024 * 1024;
+
+// Every LocalClusterAdapter in the process talks over this bus
+const localBus = new EventEmitter();
+localBus.setMaxListeners(0);
+
+export class LocalClusterAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, opts = {}) {
+    super(nsp, opts);
+
+    this.onBusMessage = (message) => this.onMessage(message);
+    this.onBusResponse = ({ requesterUid, response }) => {
+      if (requesterUid === this.uid) this.onResponse(response);
+    };
+
+    localBus.on("message", this.onBusMessage);
+    localBus.on("response", this.onBusResponse);
+  }
+
+  // Delivered on a later tick, like a real network hop
+  doPublish(message) {
+    setImmediate(() => localBus.emit("message", message));
+    return Promise.resolve("");
+  }
+
+  doPublishResponse(requesterUid, response) {
+    setImmediate(() => localBus.emit("response", { requesterUid, response }));
+    return Promise.resolve();
+  }
+
+  close() {
+    super.close();
+    localBus.off("message", this.onBusMessage);
+    localBus.off("response", this.onBusResponse);
+  }
+}
+
+const createMongoCollection = async () => {
+  const db = mongoose.connection.db;
+  const exists = await db.listCollections({ name: SOCKET_ADAPTER_COLLECTION }).hasNext();
+
+  if (!exists) {
+    await db.createCollection(SOCKET_ADAPTER_COLLECTION, {
+      capped: true,
+      size: SOCKET_ADAPTER_COLLECTION_SIZE,
+    });
+  }
+
+  return db.collection(SOCKET_ADAPTER_COLLECTION);
+};
+
+// Point the Socket.IO server at the configured adapter. Returns true when
+// the adapter is shared between instances. Needs the database connection
+// for the mongo adapter.
+export const configureSocketAdapter = async (io, type = SOCKET_ADAPTER) => {
+  switch (type) {
+    case "memory":
+      return false;
+    case "mongo":
+      io.adapter(createMongoAdapter(await createMongoCollection()));
+      return true;
+    case "local":
+      io.adapter(LocalClusterAdapter);
+      return true;
+    default:
+      throw new Error(`Unknown socket adapter: ${type}`);
+  }
+};
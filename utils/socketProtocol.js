@@ -0,0 +1,205 @@
+import { StatusCodes } from "http-status-codes";
+import {
+  BadRequestError,
+  CustomAPIError,
+  TooManyRequestsError,
+} from "../errors/index.js";
+import { CANCELLATION_REASONS } from "./cancellation.js";
+
+// Location updates one socket may send per window before they are refused
+const SOCKET_LOCATION_UPDATE_LIMIT = Number(process.env.SOCKET_LOCATION_UPDATE_LIMIT) || 10;
+const SOCKET_LOCATION_UPDATE_WINDOW_MS =
+  Number(process.env.SOCKET_LOCATION_UPDATE_WINDOW_MS) || 5000;
+// Chat messages one socket may send per window
+const SOCKET_CHAT_MESSAGE_LIMIT = Number(process.env.SOCKET_CHAT_MESSAGE_LIMIT) || 10;
+const SOCKET_CHAT_MESSAGE_WINDOW_MS = Number(process.env.SOCKET_CHAT_MESSAGE_WINDOW_MS) || 10000;
+const SOCKET_TEXT_MAX_LENGTH = 500;
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+// Error codes sent back to clients, by HTTP status of the error
+const ERROR_CODES = {
+  [StatusCodes.BAD_REQUEST]: "BAD_REQUEST",
+  [StatusCodes.UNAUTHORIZED]: "UNAUTHENTICATED",
+  [StatusCodes.FORBIDDEN]: "FORBIDDEN",
+  [StatusCodes.NOT_FOUND]: "NOT_FOUND",
+  [StatusCodes.CONFLICT]: "CONFLICT",
+  [StatusCodes.TOO_MANY_REQUESTS]: "RATE_LIMITED",
+};
+
+class InvalidPayloadError extends BadRequestError {
+  constructor(field, message) {
+    super(message);
+    this.field = field;
+  }
+}
+
+const id = { type: "objectId", required: true };
+const text = { type: "string" };
+
+const coords = {
+  latitude: { type: "number", min: -90, max: 90, required: true },
+  longitude: { type: "number", min: -180, max: 180, required: true },
+  accuracy: { type: "number" },
+  speed: { type: "number" },
+  heading: { type: "number" },
+};
+
+// What each client event carries. Events sent with a bare value instead of
+// an object name the field it stands for in `shorthand`.
+export const EVENT_SCHEMAS = {
+  goOnDuty: { fields: coords },
+  goOffDuty: { fields: {} },
+  updateLocation: { fields: coords, rateLimit: "location" },
+  stopReached: {
+    fields: { rideId: id, stopIndex: { type: "number", integer: true, min: 0, required: true } },
+  },
+  subscribeToZone: { fields: coords },
+  getDriverDetails: { fields: { riderId: id } },
+  searchrider: { fields: { rideId: id }, shorthand: "rideId" },
+  cancelRide: {
+    fields: {
+      rideId: { type: "objectId" },
+      reasonCode: { type: "string", values: CANCELLATION_REASONS },
+      note: text,
+    },
+  },
+  subscribeToriderLocation: { fields: { riderId: id }, shorthand: "riderId" },
+  subscribeRide: { fields: { rideId: id }, shorthand: "rideId" },
+  sendMessage: { fields: { rideId: id, text, template: text }, rateLimit: "chat" },
+  markMessagesDelivered: { fields: { rideId: id }, shorthand: "rideId" },
+  markMessagesRead: { fields: { rideId: id }, shorthand: "rideId" },
+};
+
+const RATE_LIMITS = {
+  location: { limit: SOCKET_LOCATION_UPDATE_LIMIT, windowMs: SOCKET_LOCATION_UPDATE_WINDOW_MS },
+  chat: { limit: SOCKET_CHAT_MESSAGE_LIMIT, windowMs: SOCKET_CHAT_MESSAGE_WINDOW_MS },
+};
+
+const parseField = (name, value, rule) => {
+  if (value === undefined || value === null || value === "") {
+    if (rule.required) throw new InvalidPayloadError(name, `${name} is required`);
+    return undefined;
+  }
+
+  switch (rule.type) {
+    case "objectId":
+      if (typeof value !== "string" || !OBJECT_ID_PATTERN.test(value)) {
+        throw new InvalidPayloadError(name, `${name} must be a valid id`);
+      }
+      return value;
+
+    case "number": {
+      const number = typeof value === "number" || typeof value === "string" ? Number(value) : NaN;
+      if (!Number.isFinite(number) || (rule.integer && !Number.isInteger(number))) {
+        throw new InvalidPayloadError(
+          name,
+          `${name} must be ${rule.integer ? "a whole number" : "a number"}`
+        );
+      }
+      if (rule.min !== undefined && number < rule.min) {
+        throw new InvalidPayloadError(name, `${name} must be at least ${rule.min}`);
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        throw new InvalidPayloadError(name, `${name} must be at most ${rule.max}`);
+      }
+      return number;
+    }
+
+    case "string":
+      if (typeof value !== "string") {
+        throw new InvalidPayloadError(name, `${name} must be text`);
+      }
+      if (rule.values && !rule.values.includes(value)) {
+        throw new InvalidPayloadError(name, `${name} must be one of ${rule.values.join(", ")}`);
+      }
+      if (value.length > SOCKET_TEXT_MAX_LENGTH) {
+        throw new InvalidPayloadError(
+          name,
+          `${name} must be at most ${SOCKET_TEXT_MAX_LENGTH} characters`
+        );
+      }
+      return value.trim();
+
+    default:
+      throw new Error(`Unknown field type: ${rule.type}`);
+  }
+};
+
+// Check a payload against the event's schema. Only known fields are kept,
+// so nothing the client made up is stored or passed on to other users.
+export const parseEventPayload = (event, payload) => {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) throw new Error(`No schema for socket event: ${event}`);
+
+  if (schema.shorthand && (typeof payload === "string" || typeof payload === "number")) {
+    payload = { [schema.shorthand]: payload };
+  }
+
+  if (payload === undefined || payload === null) payload = {};
+  if (typeof payload !== "object" || Array.isArray(payload)) {
+    throw new InvalidPayloadError(null, `${event} expects an object`);
+  }
+
+  return Object.entries(schema.fields).reduce((parsed, [name, rule]) => {
+    const value = parseField(name, payload[name], rule);
+    if (value !== undefined) parsed[name] = value;
+    return parsed;
+  }, {});
+};
+
+// Fixed window counter kept on the socket, so it goes away with it
+const checkRateLimit = (socket, key) => {
+  const { limit, windowMs } = RATE_LIMITS[key];
+  const now = Date.now();
+  socket.data.rateLimits = socket.data.rateLimits || {};
+
+  let window = socket.data.rateLimits[key];
+  if (!window || now - window.startedAt >= windowMs) {
+    window = { startedAt: now, count: 0 };
+    socket.data.rateLimits[key] = window;
+  }
+
+  window.count += 1;
+  if (window.count > limit) {
+    throw new TooManyRequestsError(
+      `Too many requests. Send at most ${limit} every ${windowMs / 1000} seconds`
+    );
+  }
+};
+
+export const toSocketError = (error) => {
+  if (error instanceof InvalidPayloadError) {
+    return { code: "INVALID_PAYLOAD", message: error.message, field: error.field };
+  }
+  if (error instanceof CustomAPIError) {
+    return { code: ERROR_CODES[error.statusCode] || "BAD_REQUEST", message: error.message };
+  }
+  return { code: "INTERNAL_ERROR", message: "Something went wrong. Please try again" };
+};
+
+// Register a handler for a client event. The payload is validated and rate
+// limited first, and the outcome goes back through the client's ack
+// callback as { ok: true, data } or { ok: false, error: { code, message } }.
+// Clients that send no ack get failures as an "error" event instead.
+export const onEvent = (socket, event, handler) => {
+  socket.on(event, async (...args) => {
+    const ack = typeof args[args.length - 1] === "function" ? args.pop() : null;
+
+    try {
+      const schema = EVENT_SCHEMAS[event];
+      if (schema.rateLimit) checkRateLimit(socket, schema.rateLimit);
+
+      const data = await handler(parseEventPayload(event, args[0]));
+      if (ack) ack({ ok: true, data: data ?? null });
+    } catch (error) {
+      if (!(error instanceof CustomAPIError)) {
+        console.error(`Error handling ${event} from ${socket.user?.id}:`, error);
+      }
+
+      const socketError = toSocketError(error);
+      if (ack) ack({ ok: false, error: socketError });
+      else socket.emit("error", { event, ...socketError });
+    }
+  });
+};
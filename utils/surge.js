@@ -0,0 +1,108 @@
+import Ride from "../models/Ride.js";
+import Setting from "../models/Setting.js";
+
+const SURGE_ZONE_SIZE = Number(process.env.SURGE_ZONE_SIZE) || 0.02; // degrees, about 2 km
+const SURGE_MAX_MULTIPLIER = Number(process.env.SURGE_MAX_MULTIPLIER) || 2;
+const SURGE_SENSITIVITY = Number(process.env.SURGE_SENSITIVITY) || 0.25;
+const SURGE_SMOOTHING = Number(process.env.SURGE_SMOOTHING) || 0.3;
+const SURGE_INTERVAL_SECONDS = Number(process.env.SURGE_INTERVAL_SECONDS) || 60;
+
+export const SURGE_SETTING_KEY = "surgeEnabled";
+
+// zoneId -> { multiplier, demand, supply, updatedAt }
+const zones = new Map();
+let surgeEnabled = process.env.SURGE_ENABLED !== "false";
+let surgeTimer = null;
+
+export const getZoneId = ({ latitude, longitude }) => {
+  const latCell = Math.floor(Number(latitude) / SURGE_ZONE_SIZE);
+  const lonCell = Math.floor(Number(longitude) / SURGE_ZONE_SIZE);
+  return `${latCell}:${lonCell}`;
+};
+
+const roundMultiplier = (value) => Math.round(value * 10) / 10;
+
+// Raw multiplier from the demand/supply ratio, before smoothing
+export const calculateRawMultiplier = (demand, supply) => {
+  const ratio = demand / Math.max(supply, 1);
+  if (ratio <= 1) return 1;
+  return Math.min(SURGE_MAX_MULTIPLIER, 1 + (ratio - 1) * SURGE_SENSITIVITY);
+};
+
+const countByZone = (locations) => {
+  const counts = new Map();
+  locations.forEach((location) => {
+    if (location?.latitude == null || location?.longitude == null) return;
+    const zoneId = getZoneId(location);
+    counts.set(zoneId, (counts.get(zoneId) || 0) + 1);
+  });
+  return counts;
+};
+
+// Recompute every zone from current supply (on-duty rider positions) and
+// demand (rides still searching). Multipliers move gradually towards the
+// raw value so prices do not jump between ticks.
+export const refreshSurge = async (riderLocations) => {
+  const setting = await Setting.findOne({ key: SURGE_SETTING_KEY }).lean();
+  if (setting) surgeEnabled = setting.value !== false;
+
+  const searchingRides = await Ride.find({ status: "SEARCHING_FOR_RIDER" })
+    .select("pickup")
+    .lean();
+
+  const demandByZone = countByZone(searchingRides.map((ride) => ride.pickup));
+  const supplyByZone = countByZone(riderLocations);
+  const zoneIds = new Set([...zones.keys(), ...demandByZone.keys()]);
+  const now = new Date();
+
+  zoneIds.forEach((zoneId) => {
+    const demand = demandByZone.get(zoneId) || 0;
+    const supply = supplyByZone.get(zoneId) || 0;
+    const previous = zones.get(zoneId)?.multiplier || 1;
+    const raw = calculateRawMultiplier(demand, supply);
+    const multiplier = roundMultiplier(previous + SURGE_SMOOTHING * (raw - previous));
+
+    if (multiplier <= 1 && demand === 0) {
+      zones.delete(zoneId);
+      return;
+    }
+
+    zones.set(zoneId, {
+      multiplier: Math.max(1, multiplier),
+      demand,
+      supply,
+      updatedAt: now,
+    });
+  });
+};
+
+export const getSurgeMultiplier = (location) => {
+  if (!surgeEnabled) return 1;
+  return zones.get(getZoneId(location))?.multiplier || 1;
+};
+
+export const isSurgeEnabled = () => surgeEnabled;
+
+export const setSurgeEnabled = async (enabled, userId = null) => {
+  surgeEnabled = !!enabled;
+  await Setting.findOneAndUpdate(
+    { key: SURGE_SETTING_KEY },
+    { value: surgeEnabled, updatedBy: userId },
+    { upsert: true }
+  );
+};
+
+export const getSurgeZones = () =>
+  Array.from(zones.entries()).map(([zoneId, zone]) => ({ zoneId, ...zone }));
+
+export const startSurgeEngine = (getRiderLocations) => {
+  if (surgeTimer) return;
+
+  surgeTimer = setInterval(async () => {
+    try {
+      await refreshSurge(getRiderLocations());
+    } catch (error) {
+      console.error("Error refreshing surge pricing:", error);
+    }
+  }, SURGE_INTERVAL_SECONDS * 1000);
+};
@@ -0,0 +1,79 @@
+import Ride from "../models/Ride.js";
+import { BadRequestError } from "../errors/index.js";
+import { roundAmount, transfer, walletAccount } from "./ledger.js";
+
+const TIP_WINDOW_HOURS = Number(process.env.TIP_WINDOW_HOURS) || 24;
+const TIP_MAX_AMOUNT = Number(process.env.TIP_MAX_AMOUNT) || 500;
+// A tip may not be larger than this multiple of the fare
+const TIP_MAX_FARE_MULTIPLE = Number(process.env.TIP_MAX_FARE_MULTIPLE) || 1;
+
+export const validateTip = (ride, amount, now = new Date()) => {
+  if (typeof amount !== "number" || !(amount > 0)) {
+    throw new BadRequestError("Tip must be a positive amount");
+  }
+
+  const maxTip = Math.min(TIP_MAX_AMOUNT, ride.fare * TIP_MAX_FARE_MULTIPLE);
+  if (amount > maxTip) {
+    throw new BadRequestError(`Tip cannot be more than ${roundAmount(maxTip)}`);
+  }
+
+  const completedAt = ride.completedAt || ride.updatedAt;
+  if (now - completedAt > TIP_WINDOW_HOURS * 60 * 60 * 1000) {
+    throw new BadRequestError(`Tips can only be added within ${TIP_WINDOW_HOURS} hours of the ride`);
+  }
+};
+
+// Record a tip on a completed ride. Tips are paid the same way as the ride:
+// wallet tips move money to the rider's wallet, cash tips are handed over.
+// Tipping the same ride again with the same amount returns the existing tip;
+// a different amount is rejected.
+export const addTip = async (ride, amount) => {
+  amount = roundAmount(amount);
+
+  if (ride.tip?.amount) {
+    if (ride.tip.amount === amount) return ride.tip;
+    throw new BadRequestError("This ride has already been tipped");
+  }
+
+  validateTip(ride, amount);
+
+  const tip = {
+    amount,
+    paymentMethod: ride.paymentMethod,
+    tippedAt: new Date(),
+  };
+
+  // Claim the tip slot first so concurrent requests cannot both succeed
+  const claimed = await Ride.findOneAndUpdate(
+    { _id: ride._id, "tip.amount": { $in: [null, 0] } },
+    { $set: { tip } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    const current = await Ride.findById(ride._id);
+    if (current?.tip?.amount === amount) return current.tip;
+    throw new BadRequestError("This ride has already been tipped");
+  }
+
+  if (ride.paymentMethod === "WALLET") {
+    try {
+      const transaction = await transfer({
+        type: "TIP",
+        from: walletAccount(ride.customer),
+        to: walletAccount(ride.rider),
+        amount,
+        ride: ride._id,
+        description: `Tip for ride ${ride._id}`,
+        idempotencyKey: `tip:${ride._id}`,
+      });
+      claimed.tip.transaction = transaction._id;
+      await claimed.save();
+    } catch (error) {
+      await Ride.updateOne({ _id: ride._id }, { $set: { tip: null } });
+      throw error;
+    }
+  }
+
+  return claimed.tip;
+};
@@ -0,0 +1,163 @@
+import geolib from "geolib";
+import Ride from "../models/Ride.js";
+import TripTrace from "../models/TripTrace.js";
+import { ACTIVE_STATUSES } from "./rideStatus.js";
+
+// Points less accurate than this are GPS noise
+const TRACE_MAX_ACCURACY_METERS = Number(process.env.TRACE_MAX_ACCURACY_METERS) || 50;
+// Anything implying a faster jump than this (~180 km/h) is a bad fix
+const TRACE_MAX_SPEED_MPS = Number(process.env.TRACE_MAX_SPEED_MPS) || 50;
+// Downsampling: keep a point once the rider has moved far enough, or after
+// a while even when stationary so waiting time still shows in the trace
+const TRACE_MIN_DISTANCE_METERS = Number(process.env.TRACE_MIN_DISTANCE_METERS) || 20;
+const TRACE_MIN_INTERVAL_SECONDS = Number(process.env.TRACE_MIN_INTERVAL_SECONDS) || 5;
+const TRACE_MAX_INTERVAL_SECONDS = Number(process.env.TRACE_MAX_INTERVAL_SECONDS) || 60;
+
+// riderId -> last point written to a trace
+const lastRecordedPoints = new Map();
+
+const optionalNumber = (value) => (Number.isFinite(Number(value)) ? Number(value) : null);
+
+const toTracePoint = (coords, recordedAt) => {
+  const latitude = Number(coords?.latitude);
+  const longitude = Number(coords?.longitude);
+
+  if (!Number.isFinite(latitude) || Math.abs(latitude) > 90) return null;
+  if (!Number.isFinite(longitude) || Math.abs(longitude) > 180) return null;
+
+  return {
+    latitude,
+    longitude,
+    accuracy: optionalNumber(coords.accuracy),
+    speed: optionalNumber(coords.speed),
+    heading: optionalNumber(coords.heading),
+    recordedAt,
+  };
+};
+
+export const shouldKeepPoint = (previous, point) => {
+  if (point.accuracy !== null && point.accuracy > TRACE_MAX_ACCURACY_METERS) return false;
+  if (!previous) return true;
+
+  const elapsed = (point.recordedAt - previous.recordedAt) / 1000;
+  if (elapsed < TRACE_MIN_INTERVAL_SECONDS) return false;
+
+  const moved = geolib.getDistance(previous, point);
+  if (moved / elapsed > TRACE_MAX_SPEED_MPS) return false;
+
+  return moved >= TRACE_MIN_DISTANCE_METERS || elapsed >= TRACE_MAX_INTERVAL_SECONDS;
+};
+
+// Append a rider's location update to the trace of every ride they are
+// currently driving. Noisy and redundant points are dropped before any
+// database work is done.
+export const recordRiderLocation = async (riderId, coords, now = new Date()) => {
+  const point = toTracePoint(coords, now);
+  if (!point || !shouldKeepPoint(lastRecordedPoints.get(riderId), point)) return false;
+
+  const rides = await Ride.find({ rider: riderId, status: { $in: ACTIVE_STATUSES } }).select(
+    "_id status"
+  );
+  if (!rides.length) return false;
+
+  lastRecordedPoints.set(riderId, point);
+
+  await Promise.all(
+    rides.map((ride) =>
+      TripTrace.updateOne(
+        { ride: ride._id },
+        {
+          $setOnInsert: { rider: riderId },
+          $push: { points: { ...point, status: ride.status } },
+        },
+        { upsert: true }
+      )
+    )
+  );
+
+  return true;
+};
+
+export const forgetRiderLocation = (riderId) => {
+  lastRecordedPoints.delete(riderId);
+};
+
+// Kilometres travelled along the trace, optionally only while the ride was
+// in one of the given statuses
+export const calculateTraceDistance = (points, statuses = null) => {
+  const included = statuses ? points.filter((point) => statuses.includes(point.status)) : points;
+
+  let meters = 0;
+  for (let i = 1; i < included.length; i++) {
+    meters += geolib.getDistance(included[i - 1], included[i]);
+  }
+
+  return meters / 1000;
+};
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+export const traceToGeoJSON = (trace, ride) => ({
+  type: "FeatureCollection",
+  features: [
+    {
+      type: "Feature",
+      geometry: {
+        type: "LineString",
+        coordinates: trace.points.map((point) => [point.longitude, point.latitude]),
+      },
+      properties: {
+        ride: ride._id.toString(),
+        rider: trace.rider.toString(),
+        vehicle: ride.vehicle,
+        status: ride.status,
+        distance: Math.round(calculateTraceDistance(trace.points) * 1000) / 1000,
+        coordTimes: trace.points.map((point) => point.recordedAt.toISOString()),
+        statuses: trace.points.map((point) => point.status),
+      },
+    },
+    ...[
+      ["pickup", ride.pickup],
+      ["drop", ride.drop],
+    ].map(([type, place]) => ({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [place.longitude, place.latitude] },
+      properties: { type, address: place.address },
+    })),
+  ],
+});
+
+export const traceToGpx = (trace, ride) => {
+  const points = trace.points
+    .map(
+      (point) =>
+        `      <trkpt lat="${point.latitude}" lon="${point.longitude}">` +
+        `<time>${point.recordedAt.toISOString()}</time>` +
+        `<desc>${escapeXml(point.status)}</desc></trkpt>`
+    )
+    .join("\n");
+
+  const waypoint = (name, place) =>
+    `  <wpt lat="${place.latitude}" lon="${place.longitude}">` +
+    `<name>${name}</name><desc>${escapeXml(place.address)}</desc></wpt>`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="EcoRide" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>Ride ${ride._id}</name></metadata>
+${waypoint("Pickup", ride.pickup)}
+${waypoint("Drop", ride.drop)}
+  <trk>
+    <name>Ride ${ride._id}</name>
+    <type>${escapeXml(ride.vehicle)}</type>
+    <trkseg>
+${points}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+};
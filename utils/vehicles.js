@@ -0,0 +1,46 @@
+import Vehicle from "../models/Vehicle.js";
+import { BadRequestError } from "../errors/index.js";
+
+// Fields a customer sees about the vehicle coming to pick them up
+export const PUBLIC_VEHICLE_FIELDS = "type plateNumber make model colour capacity electric";
+
+export const getActiveVehicle = (riderId) =>
+  Vehicle.findOne({ rider: riderId, active: true, status: "approved" });
+
+// Active vehicles for several riders, as a Map of riderId -> vehicle
+export const getActiveVehicles = async (riderIds) => {
+  const vehicles = await Vehicle.find({
+    rider: { $in: riderIds },
+    active: true,
+    status: "approved",
+  })
+    .select(`rider ${PUBLIC_VEHICLE_FIELDS}`)
+    .lean();
+
+  return new Map(vehicles.map((vehicle) => [vehicle.rider.toString(), vehicle]));
+};
+
+// A rider can only take rides booked for the type of vehicle they drive
+export const assertVehicleFitsRide = (vehicle, ride) => {
+  if (!vehicle) {
+    throw new BadRequestError("You need an approved, active vehicle to take rides");
+  }
+  if (vehicle.type !== ride.vehicle) {
+    throw new BadRequestError(`This ride needs a ${ride.vehicle}, your active vehicle is a ${vehicle.type}`);
+  }
+};
+
+// Make one of a rider's approved vehicles the one they are driving
+export const activateVehicle = async (vehicle) => {
+  if (vehicle.status !== "approved") {
+    throw new BadRequestError("Only approved vehicles can be activated");
+  }
+
+  await Vehicle.updateMany(
+    { rider: vehicle.rider, active: true, _id: { $ne: vehicle._id } },
+    { active: false }
+  );
+  vehicle.active = true;
+  await vehicle.save();
+  return vehicle;
+};